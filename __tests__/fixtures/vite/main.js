@@ -0,0 +1,2 @@
+import './style.scss'
+import './print.scss'
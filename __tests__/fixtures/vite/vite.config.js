@@ -0,0 +1,32 @@
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vite'
+import { sassTokenVitePlugin } from '../../../sass-token-importer.js'
+
+const root = path.dirname(fileURLToPath(import.meta.url))
+const plugin = sassTokenVitePlugin(path.join(root, 'tokens'))
+
+// Report the files the plugin registers in each hook, for the test to check
+const watchFiles = {}
+for (const hook of ['transform', 'buildEnd']) {
+  const original = plugin[hook]
+  plugin[hook] = function (...args) {
+    const key = hook === 'transform' ? path.relative(root, args[1]) : hook
+    const context = {
+      addWatchFile: (file) => {
+        watchFiles[key] = [...(watchFiles[key] || []), path.relative(root, file)]
+        this.addWatchFile(file)
+      }
+    }
+    return original.apply(context, args)
+  }
+}
+
+export default defineConfig({
+  root,
+  logLevel: 'silent',
+  plugins: [
+    plugin,
+    { name: 'report-watch-files', generateBundle() { console.log(JSON.stringify(watchFiles)) } }
+  ]
+})
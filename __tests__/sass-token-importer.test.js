@@ -1,6 +1,9 @@
-import { it, describe, expect } from '@jest/globals'
+import { it, describe, expect, beforeEach, afterEach } from '@jest/globals'
+import { spawnSync } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
 import path from 'node:path'
-import { fileURLToPath } from 'node:url'
+import { fileURLToPath, pathToFileURL } from 'node:url'
 import * as sass from 'sass'
 import {
   detectFormat,
@@ -8,7 +11,15 @@ import {
   resolveAliases,
   convertValue,
   generateScss,
-  sassTokenImporter
+  validateTokens,
+  applyResolver,
+  normalizeResolverInputs,
+  sassTokenImporter,
+  sassTokenImporterAsync,
+  sassTokenLegacyImporter,
+  sassTokenVitePlugin,
+  sassTokenLoaderOptions,
+  buildTokenPartials
 } from '../sass-token-importer.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
@@ -16,7 +27,28 @@ const FIXTURE_ROOT = path.join(__dirname, 'fixtures')
 const DTCG_DIR = path.join(FIXTURE_ROOT, 'tokens', 'dtcg')
 const SD_DIR = path.join(FIXTURE_ROOT, 'tokens', 'style-dictionary')
 const INVALID_DIR = path.join(FIXTURE_ROOT, 'tokens', 'invalid')
+const CROSS_FILE_DIR = path.join(FIXTURE_ROOT, 'tokens', 'cross-file')
+const CIRCULAR_DIR = path.join(FIXTURE_ROOT, 'tokens', 'circular')
+const THEMES_DIR = path.join(FIXTURE_ROOT, 'tokens', 'themes')
+const STRICT_DIR = path.join(FIXTURE_ROOT, 'tokens', 'strict')
+const FORMATS_DIR = path.join(FIXTURE_ROOT, 'tokens', 'formats')
+const TOKENS_STUDIO_DIR = path.join(FIXTURE_ROOT, 'tokens', 'tokens-studio')
+const FIGMA_DIR = path.join(FIXTURE_ROOT, 'tokens', 'figma')
+const REFERENCES_DIR = path.join(FIXTURE_ROOT, 'tokens', 'references')
+const METADATA_DIR = path.join(FIXTURE_ROOT, 'tokens', 'metadata')
+const RESOLVER_DIR = path.join(FIXTURE_ROOT, 'tokens', 'resolver')
+const RESOLVER_FILE = path.join(RESOLVER_DIR, 'tokens.resolver.json')
 const SCSS_DIR = path.join(FIXTURE_ROOT, 'scss')
+const VITE_PROJECT_DIR = path.join(FIXTURE_ROOT, 'vite')
+const CLI = path.join(__dirname, '..', 'cli.js')
+
+function writeTokens(dir, name, tokens, mtime) {
+  const file = path.join(dir, `${name}.json`)
+  fs.writeFileSync(file, JSON.stringify(tokens))
+  // Pin the modification time so changes are detected regardless of timestamp resolution
+  fs.utimesSync(file, mtime, mtime)
+  return file
+}
 
 describe('detectFormat', () => {
   it('detects DTCG format when $value is present', () => {
@@ -53,6 +85,52 @@ describe('detectFormat', () => {
     }
     expect(detectFormat(sd)).toBe('style-dictionary')
   })
+
+  it('detects Tokens Studio format by its token types', () => {
+    const data = {
+      color: { primary: { value: '#0066cc', type: 'color' } },
+      spacing: { sm: { value: '8', type: 'spacing' } }
+    }
+    expect(detectFormat(data)).toBe('tokens-studio')
+  })
+
+  it('detects Tokens Studio sets by their extensions and types', () => {
+    const extensions = {
+      color: {
+        primary: { value: '#0066cc', type: 'color' },
+        hover: { value: '{color.primary}', type: 'color', $extensions: { 'studio.tokens': { modify: { type: 'darken', value: '0.1' } } } }
+      }
+    }
+    expect(detectFormat(extensions)).toBe('tokens-studio')
+    expect(detectFormat({ spacing: { sm: { $value: '8', $type: 'spacing' } } })).toBe('tokens-studio')
+  })
+
+  it('keeps DTCG files with operators between references as DTCG', () => {
+    const data = {
+      space: {
+        $type: 'dimension',
+        sm: { $value: '4px' },
+        inset: { $value: '{space.sm} -{space.sm}' },
+        old: { $value: '2px', $deprecated: true }
+      },
+      grid: { area: { $type: 'string', $value: '{space.sm} / {space.inset}' } }
+    }
+    expect(detectFormat(data)).toBe('dtcg')
+    expect(extractTokens(data, detectFormat(data)).find((token) => token.path.join('.') === 'space.old').deprecated).toBe(true)
+  })
+
+  it('detects Tokens Studio multi-set exports', () => {
+    const data = {
+      global: { color: { primary: { value: '#0066cc', type: 'color' } } },
+      $metadata: { tokenSetOrder: ['global'] }
+    }
+    expect(detectFormat(data)).toBe('tokens-studio')
+  })
+
+  it('detects Figma Variables exports', () => {
+    expect(detectFormat({ meta: { variableCollections: {}, variables: {} } })).toBe('figma')
+    expect(detectFormat({ variableCollections: {}, variables: {} })).toBe('figma')
+  })
 })
 
 describe('extractTokens', () => {
@@ -151,6 +229,235 @@ describe('extractTokens', () => {
     expect(extractTokens({}, 'dtcg')).toEqual([])
     expect(extractTokens({}, 'style-dictionary')).toEqual([])
   })
+
+  describe('descriptions and deprecation', () => {
+    it('keeps $description and $deprecated, inheriting deprecation from groups', () => {
+      const data = JSON.parse(fs.readFileSync(path.join(METADATA_DIR, 'colors.json'), 'utf-8'))
+      const tokens = extractTokens(data, 'dtcg')
+      expect(tokens[0]).toEqual({
+        path: ['color', 'primary'],
+        type: 'color',
+        value: '#0066cc',
+        description: 'Main brand color, for actions and links'
+      })
+      expect(tokens[1].deprecated).toBe('Use color.primary instead.')
+      expect(tokens[2].deprecated).toBe(true)
+      expect(tokens[3]).not.toHaveProperty('deprecated')
+    })
+
+    it('keeps Style Dictionary comments and Tokens Studio descriptions', () => {
+      const [sd] = extractTokens({ color: { value: '#fff', type: 'color', comment: 'Page background' } }, 'style-dictionary')
+      const [ts] = extractTokens({ spacing: { value: '8', type: 'spacing', description: 'Base unit' } }, 'tokens-studio')
+      expect(sd.description).toBe('Page background')
+      expect(ts.description).toBe('Base unit')
+    })
+  })
+
+  describe('$ref and $extends', () => {
+    it('turns $ref pointers to tokens into aliases', () => {
+      const tokens = extractTokens({
+        color: {
+          $type: 'color',
+          blue: { $value: '#0066cc' },
+          primary: { $value: { $ref: '#/color/blue/$value' } },
+          action: { $value: { $ref: '#/color/primary' } }
+        }
+      }, 'dtcg')
+      expect(tokens[1].value).toBe('{color.blue}')
+      expect(tokens[2].value).toBe('{color.primary}')
+    })
+
+    it('copies sub-values referenced by $ref', () => {
+      const [, border] = extractTokens({
+        shadow: { $type: 'shadow', base: { $value: { color: '#000000', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' } } },
+        border: { $type: 'border', $value: { color: { $ref: '#/shadow/base/$value/color' }, width: '1px', style: 'solid' } }
+      }, 'dtcg')
+      expect(border.value).toEqual({ color: '#000000', width: '1px', style: 'solid' })
+    })
+
+    it('decodes escaped pointer segments', () => {
+      const [, token] = extractTokens({
+        'a/b': { 'c~d': { $type: 'number', $value: { x: 1 } } },
+        token: { $type: 'number', $value: { $ref: '#/a~1b/c~0d/$value/x' } }
+      }, 'dtcg')
+      expect(token.value).toBe(1)
+    })
+
+    it('copies the tokens of extended groups, local tokens winning', () => {
+      const tokens = extractTokens({
+        button: {
+          base: {
+            $type: 'color',
+            background: { $value: '#eeeeee' },
+            hover: { background: { $value: '#dddddd' }, text: { $value: '#000000' } }
+          },
+          primary: {
+            $extends: '{button.base}',
+            background: { $value: '#0066cc' },
+            hover: { background: { $value: '#0055aa' } }
+          },
+          danger: { $extends: '#/button/primary', background: { $value: '#cc0000' } }
+        }
+      }, 'dtcg')
+      const values = Object.fromEntries(tokens.map((token) => [token.path.join('.'), token.value]))
+      expect(values['button.primary.background']).toBe('#0066cc')
+      expect(values['button.primary.hover.background']).toBe('#0055aa')
+      expect(values['button.primary.hover.text']).toBe('#000000')
+      expect(values['button.danger.background']).toBe('#cc0000')
+      expect(values['button.danger.hover.background']).toBe('#0055aa')
+      expect(tokens.find((token) => token.path.join('.') === 'button.danger.hover.text').type).toBe('color')
+    })
+
+    it('resolves $ref pointers into extended groups', () => {
+      const tokens = extractTokens({
+        base: { $type: 'color', text: { $value: '#000000' } },
+        dark: { $extends: '{base}' },
+        link: { $type: 'color', $value: { $ref: '#/dark/text/$value' } }
+      }, 'dtcg')
+      expect(tokens[2].value).toBe('{dark.text}')
+    })
+
+    it('throws on circular $extends', () => {
+      expect(() => extractTokens({ a: { $extends: '{b}' }, b: { $extends: '{a}' } }, 'dtcg'))
+        .toThrow('Circular $extends detected')
+      expect(() => extractTokens({ a: { $extends: '{b}' }, b: { nested: { $extends: '{a}' } } }, 'dtcg'))
+        .toThrow('Circular $extends detected: {a}')
+    })
+
+    it('throws on circular $ref', () => {
+      const data = {
+        a: { $type: 'shadow', $value: { color: { $ref: '#/b/$value/color' } } },
+        b: { $type: 'shadow', $value: { color: { $ref: '#/a/$value/color' } } }
+      }
+      expect(() => extractTokens(data, 'dtcg')).toThrow('Circular $ref detected: #/a/$value/color')
+    })
+
+    it('throws on circular references mixing $ref and $extends', () => {
+      expect(() => extractTokens({ a: { $ref: '#/b' }, b: { $extends: '#/a' } }, 'dtcg'))
+        .toThrow('Circular $extends detected: #/a')
+    })
+
+    it('throws on references that cannot be resolved', () => {
+      expect(() => extractTokens({ a: { $type: 'color', $value: { $ref: '#/missing' } } }, 'dtcg'))
+        .toThrow('Cannot resolve $ref "#/missing"')
+      expect(() => extractTokens({ a: { $extends: 'b' } }, 'dtcg'))
+        .toThrow('Invalid $extends "b", expected a "#/..." JSON Pointer or a "{path}" alias')
+    })
+  })
+
+  describe('figma', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(FIGMA_DIR, 'variables.json'), 'utf-8'))
+
+    it('maps variable types and uses default modes', () => {
+      const tokens = extractTokens(data, 'figma')
+      expect(tokens).toContainEqual({
+        path: ['color', 'overlay'],
+        type: 'color',
+        value: { colorSpace: 'srgb', components: [0, 0, 0], alpha: 0.5 }
+      })
+      expect(tokens).toContainEqual({ path: ['color', 'link'], type: 'color', value: '{color.blue}' })
+      expect(tokens).toContainEqual({ path: ['spacing', 'gap'], type: 'dimension', value: '16px' })
+      expect(tokens).toContainEqual({ path: ['font', 'body'], type: 'fontFamily', value: 'Inter' })
+      expect(tokens).toContainEqual({ path: ['font', 'weight', 'bold'], type: 'fontWeight', value: 700 })
+      expect(tokens).toContainEqual({ path: ['layout', 'columns'], type: 'number', value: 12 })
+    })
+
+    it('selects modes by collection name', () => {
+      const tokens = extractTokens(data, 'figma', { modes: { Primitives: 'Dark' } })
+      expect(tokens[0]).toEqual({
+        path: ['color', 'background'],
+        type: 'color',
+        value: { colorSpace: 'srgb', components: [0.06666667, 0.06666667, 0.06666667], alpha: 1 }
+      })
+    })
+
+    it('throws on unknown modes', () => {
+      expect(() => extractTokens(data, 'figma', { modes: { Primitives: 'Dim' } }))
+        .toThrow('Unknown mode "Dim" of Figma collection "Primitives", expected one of: Light, Dark')
+    })
+  })
+
+  describe('tokens-studio', () => {
+    it('maps Tokens Studio types and adds px to unitless dimensions', () => {
+      const data = {
+        spacing: { sm: { value: '8', type: 'spacing' } },
+        radius: { none: { value: '0', type: 'borderRadius' } },
+        font: {
+          body: { value: 'Inter', type: 'fontFamilies' },
+          bold: { value: 'Semi Bold', type: 'fontWeights' },
+          leading: { value: '150%', type: 'lineHeights' }
+        },
+        opacity: { muted: { value: '50%', type: 'opacity' } }
+      }
+      expect(extractTokens(data, 'tokens-studio')).toEqual([
+        { path: ['spacing', 'sm'], type: 'dimension', value: '8px', math: true },
+        { path: ['radius', 'none'], type: 'dimension', value: '0', math: true },
+        { path: ['font', 'body'], type: 'fontFamily', value: 'Inter', math: true },
+        { path: ['font', 'bold'], type: 'fontWeight', value: 600, math: true },
+        { path: ['font', 'leading'], type: 'number', value: 1.5, math: true },
+        { path: ['opacity', 'muted'], type: 'number', value: 0.5, math: true }
+      ])
+    })
+
+    it('converts box shadows to DTCG shadows', () => {
+      const data = {
+        shadow: {
+          value: [
+            { x: '0', y: '2', blur: '4', spread: '0', color: '#000', type: 'dropShadow' },
+            { x: '0', y: '1', blur: '2', spread: '0', color: '#fff', type: 'innerShadow' }
+          ],
+          type: 'boxShadow'
+        }
+      }
+      expect(extractTokens(data, 'tokens-studio')[0]).toEqual({
+        path: ['shadow'],
+        type: 'shadow',
+        value: [
+          { color: '#000', offsetX: '0', offsetY: '2px', blur: '4px', spread: '0' },
+          { color: '#fff', offsetX: '0', offsetY: '1px', blur: '2px', spread: '0', inset: true }
+        ],
+        math: true
+      })
+    })
+
+    it('evaluates math without references', () => {
+      const data = { spacing: { lg: { value: '4 * 4', type: 'spacing' } } }
+      expect(extractTokens(data, 'tokens-studio')[0].value).toBe('16px')
+    })
+
+    it('merges token sets in tokenSetOrder, later sets overriding earlier ones', () => {
+      const data = {
+        brand: { color: { gray: { value: '#555555', type: 'color' } } },
+        global: {
+          color: {
+            gray: { value: '#666666', type: 'color' },
+            blue: { value: '#0066cc', type: 'color' }
+          }
+        },
+        $themes: [],
+        $metadata: { tokenSetOrder: ['global', 'brand'] }
+      }
+      expect(extractTokens(data, 'tokens-studio')).toEqual([
+        { path: ['color', 'gray'], type: 'color', value: '#555555', math: true },
+        { path: ['color', 'blue'], type: 'color', value: '#0066cc', math: true }
+      ])
+    })
+
+    it('reads exports using DTCG $value and $type keys', () => {
+      const data = {
+        global: { spacing: { $type: 'spacing', sm: { $value: '8', $description: 'Small' } } },
+        $metadata: { tokenSetOrder: ['global'] }
+      }
+      expect(extractTokens(data, detectFormat(data))).toEqual([
+        { path: ['spacing', 'sm'], type: 'dimension', value: '8px', math: true, description: 'Small' }
+      ])
+    })
+
+    it('throws when an export contains no tokens', () => {
+      const data = { global: { color: { primary: { val: '#0066cc' } } }, $metadata: { tokenSetOrder: ['global'] } }
+      expect(() => extractTokens(data, 'tokens-studio')).toThrow('No tokens found in Tokens Studio data')
+    })
+  })
 })
 
 describe('resolveAliases', () => {
@@ -207,6 +514,161 @@ describe('resolveAliases', () => {
     expect(resolved[0].value).toBe('8px')
     expect(resolved[1].value).toBe(42)
   })
+
+  it('resolves references against reference tokens', () => {
+    const tokens = [
+      { path: ['color', 'primary'], type: 'color', value: '{color.base.blue}' }
+    ]
+    const referenceTokens = [
+      { path: ['color', 'base', 'blue'], type: 'color', value: '#0066cc' }
+    ]
+    const resolved = resolveAliases(tokens, referenceTokens)
+    expect(resolved[0].value).toBe('#0066cc')
+  })
+
+  it('prefers local tokens over reference tokens with the same path', () => {
+    const tokens = [
+      { path: ['color', 'blue'], type: 'color', value: '#0000ff' },
+      { path: ['color', 'primary'], type: 'color', value: '{color.blue}' }
+    ]
+    const referenceTokens = [
+      { path: ['color', 'blue'], type: 'color', value: '#0066cc' }
+    ]
+    const resolved = resolveAliases(tokens, referenceTokens)
+    expect(resolved[1].value).toBe('#0000ff')
+  })
+
+  it('does not modify reference tokens', () => {
+    const referenceTokens = [
+      { path: ['color', 'blue'], type: 'color', value: '#0066cc' },
+      { path: ['color', 'primary'], type: 'color', value: '{color.blue}' }
+    ]
+    resolveAliases([{ path: ['color', 'action'], type: 'color', value: '{color.primary}' }], referenceTokens)
+    expect(referenceTokens[1].value).toBe('{color.blue}')
+  })
+
+  it('throws on circular references through reference tokens', () => {
+    const tokens = [{ path: ['a'], type: 'color', value: '{b}' }]
+    const referenceTokens = [{ path: ['b'], type: 'color', value: '{a}' }]
+    expect(() => resolveAliases(tokens, referenceTokens)).toThrow('Circular alias reference')
+  })
+
+  describe('math expressions', () => {
+    it('evaluates arithmetic over resolved dimensions', () => {
+      const tokens = resolveAliases([
+        { path: ['spacing', 'base'], type: 'dimension', value: '8px' },
+        { path: ['spacing', 'lg'], type: 'dimension', value: '{spacing.base} * 2', math: true },
+        { path: ['spacing', 'xl'], type: 'dimension', value: '({spacing.lg} + {spacing.base}) / 2 * 4', math: true },
+        { path: ['spacing', 'third'], type: 'dimension', value: '{spacing.base} / 3', math: true }
+      ])
+      expect(tokens.map((token) => token.value)).toEqual(['8px', '16px', '48px', '2.6667px'])
+    })
+
+    it('accepts DTCG dimension objects and plain numbers', () => {
+      const tokens = resolveAliases([
+        { path: ['size', 'base'], type: 'dimension', value: { value: 1.5, unit: 'rem' } },
+        { path: ['ratio'], type: 'number', value: 2 },
+        { path: ['size', 'lg'], type: 'dimension', value: '{size.base} * {ratio}', math: true },
+        { path: ['scale'], type: 'number', value: '{ratio} - 0.5', math: true }
+      ])
+      expect(tokens[2].value).toBe('3rem')
+      expect(tokens[3].value).toBe(1.5)
+    })
+
+    it('falls back to calc() for incompatible units', () => {
+      const [, gutter] = resolveAliases([
+        { path: ['spacing', 'base'], type: 'dimension', value: '8px' },
+        { path: ['spacing', 'gutter'], type: 'dimension', value: '{spacing.base} + 1rem', math: true }
+      ])
+      expect(gutter.value).toBe('calc(8px + 1rem)')
+    })
+
+    it('throws on circular references inside expressions', () => {
+      const tokens = [
+        { path: ['a'], type: 'dimension', value: '{b} * 2' },
+        { path: ['b'], type: 'dimension', value: '{a} + 1px' }
+      ]
+      expect(() => resolveAliases(tokens)).toThrow('Circular alias reference')
+    })
+  })
+
+  it('keeps the literal form of DTCG strings with operators between references', () => {
+    const data = {
+      space: { $type: 'dimension', sm: { $value: '4px' }, inset: { $value: '{space.sm} -{space.sm}' } },
+      grid: { start: { $type: 'number', $value: 1 }, end: { $type: 'number', $value: 3 }, column: { $type: 'string', $value: '{grid.start} / {grid.end}' } }
+    }
+    const tokens = extractTokens(data, detectFormat(data))
+    const scss = generateScss(resolveAliases(structuredClone(tokens)), 'variables')
+    expect(scss).toContain('$space-inset: 4px -4px;')
+    expect(scss).toContain('$grid-column: 1 / 3;')
+    const css = generateScss(tokens, 'css')
+    expect(css).toContain('--space-inset: var(--space-sm) -var(--space-sm);')
+    expect(css).toContain('--grid-column: var(--grid-start) / var(--grid-end);')
+  })
+
+  describe('embedded references', () => {
+    it('resolves references anywhere in a string', () => {
+      const tokens = resolveAliases([
+        { path: ['color', 'border'], type: 'color', value: '#cccccc' },
+        { path: ['spacing', 'sm'], type: 'dimension', value: '8px' },
+        { path: ['spacing', 'md'], type: 'dimension', value: '16px' },
+        { path: ['border'], type: 'string', value: '1px solid {color.border}' },
+        { path: ['padding'], type: 'string', value: '{spacing.sm} {spacing.md}' }
+      ])
+      expect(tokens[3].value).toBe('1px solid #cccccc')
+      expect(tokens[4].value).toBe('8px 16px')
+    })
+
+    it('converts each reference for its type', () => {
+      const tokens = resolveAliases([
+        { path: ['color', 'brand'], type: 'color', value: { colorSpace: 'srgb', components: [0, 0.4, 0.8] } },
+        { path: ['size'], type: 'dimension', value: { value: 2, unit: 'px' } },
+        { path: ['font', 'stack'], type: 'fontFamily', value: ['Inter', 'sans-serif'] },
+        { path: ['border', 'thin'], type: 'border', value: { color: '{color.brand}', width: '{size}', style: 'solid' } },
+        { path: ['outline'], type: 'string', value: '{size} dashed {color.brand}' },
+        { path: ['font', 'css'], type: 'string', value: '16px {font.stack}' },
+        { path: ['divider'], type: 'string', value: '{border.thin} !important' }
+      ])
+      expect(tokens[4].value).toBe('2px dashed #0066cc')
+      expect(tokens[5].value).toBe('16px "Inter", sans-serif')
+      expect(tokens[6].value).toBe('2px solid #0066cc !important')
+    })
+
+    it('leaves strings referencing values without a CSS text form untouched', () => {
+      const [, label] = resolveAliases([
+        { path: ['type', 'body'], type: 'typography', value: { fontFamily: 'Inter', fontSize: '16px' } },
+        { path: ['label'], type: 'string', value: 'font: {type.body}' }
+      ])
+      expect(label.value).toBe('font: {type.body}')
+    })
+
+    it('resolves aliases inside arrays', () => {
+      const tokens = resolveAliases([
+        { path: ['font', 'brand'], type: 'fontFamily', value: 'Inter' },
+        { path: ['ease', 'x'], type: 'number', value: 0.4 },
+        { path: ['font', 'body'], type: 'fontFamily', value: ['{font.brand}', 'sans-serif'] },
+        { path: ['ease', 'out'], type: 'cubicBezier', value: ['{ease.x}', 0, 0.2, 1] }
+      ])
+      expect(tokens[2].value).toEqual(['Inter', 'sans-serif'])
+      expect(tokens[3].value).toEqual([0.4, 0, 0.2, 1])
+    })
+
+    it('splices aliases to lists into arrays', () => {
+      const [, stack] = resolveAliases([
+        { path: ['font', 'brand'], type: 'fontFamily', value: ['Inter', 'Helvetica'] },
+        { path: ['font', 'stack'], type: 'fontFamily', value: ['{font.brand}', 'sans-serif'] }
+      ])
+      expect(stack.value).toEqual(['Inter', 'Helvetica', 'sans-serif'])
+    })
+
+    it('throws on circular references inside arrays', () => {
+      const tokens = [
+        { path: ['a'], type: 'fontFamily', value: ['{b}'] },
+        { path: ['b'], type: 'fontFamily', value: ['{a}'] }
+      ]
+      expect(() => resolveAliases(tokens)).toThrow('Circular alias reference')
+    })
+  })
 })
 
 describe('convertValue', () => {
@@ -234,6 +696,12 @@ describe('convertValue', () => {
       const value = { colorSpace: 'display-p3', components: [1, 0, 0], alpha: 0.5 }
       expect(convertValue(value, 'color')).toBe('color(display-p3 1 0 0 / 0.5)')
     })
+
+    it('writes spaces with their own CSS function with it', () => {
+      expect(convertValue({ colorSpace: 'oklch', components: [0.628, 0.2577, 29.23] }, 'color')).toBe('oklch(0.628 0.2577 29.23)')
+      expect(convertValue({ colorSpace: 'hsl', components: [210, 100, 40], alpha: 0.5 }, 'color')).toBe('hsl(210 100% 40% / 0.5)')
+      expect(convertValue({ colorSpace: 'hwb', components: ['none', 0, 20] }, 'color')).toBe('hwb(none 0% 20%)')
+    })
   })
 
   describe('dimension', () => {
@@ -312,7 +780,7 @@ describe('convertValue', () => {
       expect(result).toContain('line-height: 1.2')
     })
 
-    it('converts shadow to Sass map', () => {
+    it('converts shadow to a box-shadow value like shadow layers', () => {
       const value = {
         color: '#00000033',
         offsetX: '0px',
@@ -320,12 +788,16 @@ describe('convertValue', () => {
         blur: '2px',
         spread: '0px'
       }
-      const result = convertValue(value, 'shadow')
-      expect(result).toContain('color: #00000033')
-      expect(result).toContain('offset-x: 0px')
-      expect(result).toContain('offset-y: 1px')
-      expect(result).toContain('blur: 2px')
-      expect(result).toContain('spread: 0px')
+      expect(convertValue(value, 'shadow')).toBe('0px 1px 2px 0px #00000033')
+      expect(convertValue({ ...value, inset: true }, 'shadow')).toBe('inset 0px 1px 2px 0px #00000033')
+    })
+
+    it('uses spec sub-types rather than key names', () => {
+      const value = { duration: { value: 1, unit: 's' }, timingFunction: [0, 0, 1, 1] }
+      expect(convertValue(value, 'transition')).toContain('timing-function: cubic-bezier(0, 0, 1, 1)')
+      const border = { color: '#cccccc', width: { value: 1, unit: 'px' }, style: { dashArray: ['2px'], lineCap: 'butt' } }
+      expect(convertValue(border, 'border')).toContain('width: 1px')
+      expect(convertValue(border, 'border')).toContain('dash-array: (2px)')
     })
 
     it('converts border to Sass map', () => {
@@ -337,6 +809,49 @@ describe('convertValue', () => {
     })
   })
 
+  describe('gradient', () => {
+    it('converts stops to a color stop list', () => {
+      const value = [
+        { color: '#0066cc', position: 0 },
+        { color: { colorSpace: 'srgb', components: [1, 0, 0] }, position: 0.333 }
+      ]
+      expect(convertValue(value, 'gradient')).toBe('(#0066cc 0%, #ff0000 33.3%)')
+    })
+  })
+
+  describe('transition', () => {
+    it('converts sub-values using their spec types', () => {
+      const value = { duration: { value: 200, unit: 'ms' }, delay: '0ms', timingFunction: [0.5, 0, 1, 1] }
+      const result = convertValue(value, 'transition')
+      expect(result).toContain('duration: 200ms,')
+      expect(result).toContain('delay: 0ms,')
+      expect(result).toContain('timing-function: cubic-bezier(0.5, 0, 1, 1),')
+    })
+  })
+
+  describe('strokeStyle', () => {
+    it('passes through keyword strings', () => {
+      expect(convertValue('dotted', 'strokeStyle')).toBe('dotted')
+    })
+
+    it('converts dash-array objects to a Sass map', () => {
+      const value = { dashArray: ['0.5rem', { value: 0.25, unit: 'rem' }], lineCap: 'round' }
+      const result = convertValue(value, 'strokeStyle')
+      expect(result).toContain('dash-array: (0.5rem 0.25rem),')
+      expect(result).toContain('line-cap: round,')
+    })
+  })
+
+  describe('shadow layers', () => {
+    it('converts shadow arrays to comma-separated box-shadow values', () => {
+      const value = [
+        { color: '#00000033', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' },
+        { color: { colorSpace: 'srgb', components: [1, 1, 1] }, offsetX: '0px', offsetY: '0px', blur: '1px', spread: '0px', inset: true }
+      ]
+      expect(convertValue(value, 'shadow')).toBe('(0px 1px 2px 0px #00000033, inset 0px 0px 1px 0px #ffffff)')
+    })
+  })
+
   describe('unknown type', () => {
     it('passes through strings', () => {
       expect(convertValue('anything', 'unknown')).toBe('anything')
@@ -348,6 +863,67 @@ describe('convertValue', () => {
   })
 })
 
+describe('validateTokens', () => {
+  it('accepts valid tokens', () => {
+    const tokens = [
+      { path: ['color', 'a'], type: 'color', value: '#0066cc' },
+      { path: ['color', 'b'], type: 'color', value: { colorSpace: 'srgb', components: [1, 0, 0] } },
+      { path: ['size', 'a'], type: 'dimension', value: { value: 8, unit: 'px' } },
+      { path: ['size', 'b'], type: 'dimension', value: '1.5rem' },
+      { path: ['time'], type: 'duration', value: '200ms' },
+      { path: ['weight'], type: 'fontWeight', value: 'semi-bold' },
+      { path: ['ease'], type: 'cubicBezier', value: [0.42, 0, 0.58, 1] },
+      { path: ['border'], type: 'border', value: { color: '#000', width: '1px', style: 'solid' } },
+      { path: ['shadow'], type: 'shadow', value: [{ color: '#000', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px', inset: true }] }
+    ]
+    expect(validateTokens(tokens)).toEqual([])
+  })
+
+  it('reports values that do not match their type', () => {
+    const diagnostics = validateTokens([
+      { path: ['size'], type: 'dimension', value: '8' },
+      { path: ['weight'], type: 'fontWeight', value: 1200 },
+      { path: ['ease'], type: 'cubicBezier', value: [2, 0, 0.58, 1] },
+      { path: ['opacity'], type: 'number', value: { value: 0.5 } }
+    ])
+    expect(diagnostics.map((d) => d.path[0])).toEqual(['size', 'weight', 'ease', 'opacity'])
+    expect(diagnostics[0].reason).toBe('invalid dimension "8", expected a number with a unit')
+    expect(diagnostics[3].reason).toBe('invalid number {"value":0.5}')
+  })
+
+  it('reports invalid composite sub-values by key', () => {
+    const diagnostics = validateTokens([
+      { path: ['border'], type: 'border', value: { color: '#000', width: 'thick', style: 'solid' } }
+    ])
+    expect(diagnostics[0].reason).toBe('width: invalid dimension "thick", expected a number with a unit')
+  })
+
+  it('reports unresolved references unless aliases are allowed', () => {
+    const tokens = [{ path: ['color', 'link'], type: 'color', value: '{color.missing}' }]
+    expect(validateTokens(tokens)[0].reason).toBe('unresolved reference {color.missing}')
+    expect(validateTokens(tokens, { allowAliases: true })).toEqual([])
+  })
+
+  it('reports missing and unknown types', () => {
+    const diagnostics = validateTokens([
+      { path: ['a'], type: 'unknown', value: 'x' },
+      { path: ['b'], type: 'sparkle', value: { x: 1 } }
+    ])
+    expect(diagnostics[0].reason).toBe('missing $type')
+    expect(diagnostics[1].reason).toBe('unknown type "sparkle"')
+  })
+
+  it('accepts custom types', () => {
+    const tokens = [{ path: ['layer'], type: 'zIndex', value: 'modal' }]
+    expect(validateTokens(tokens, { customTypes: ['zIndex'] })).toEqual([])
+  })
+
+  it('keeps the source file of a token', () => {
+    const diagnostics = validateTokens([{ path: ['a'], type: 'number', value: 'x', file: '/tokens/a.json' }])
+    expect(diagnostics[0].file).toBe('/tokens/a.json')
+  })
+})
+
 describe('generateScss', () => {
   const tokens = [
     { path: ['color', 'primary'], type: 'color', value: '#0066cc' },
@@ -391,6 +967,17 @@ describe('generateScss', () => {
       expect(scss).toContain('md: 16px,')
     })
 
+    it('emits a token() accessor function when enabled', () => {
+      const scss = generateScss(tokens, 'map', { accessor: true })
+      expect(scss.startsWith('@use "sass:list";')).toBe(true)
+      expect(scss).toContain('$-tokens: (\n  color: $color,\n  spacing: $spacing,\n);')
+      expect(scss).toContain('@function token($path) {')
+    })
+
+    it('does not emit the accessor function by default', () => {
+      expect(generateScss(tokens, 'map')).not.toContain('@function token')
+    })
+
     it('handles deeply nested paths', () => {
       const deep = [
         { path: ['typography', 'heading', 'h1'], type: 'dimension', value: '32px' },
@@ -404,119 +991,1650 @@ describe('generateScss', () => {
     })
   })
 
-  it('returns empty string for empty tokens', () => {
-    expect(generateScss([], 'variables')).toBe('')
-    expect(generateScss([], 'map')).toBe('')
+  describe('prefix', () => {
+    it('prefixes variable names', () => {
+      const scss = generateScss(tokens, 'variables', { prefix: 'ds' })
+      expect(scss).toContain('$ds-color-primary: #0066cc;')
+    })
+
+    it('prefixes top-level map names', () => {
+      const scss = generateScss(tokens, 'map', { prefix: 'ds' })
+      expect(scss).toContain('$ds-color: (')
+      expect(scss).toContain('  primary: #0066cc,')
+    })
   })
-})
 
-describe('sassTokenImporter', () => {
-  describe('canonicalize', () => {
-    it('resolves a token: prefixed import', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const result = importer.canonicalize('token:colors')
-      expect(result).toBeInstanceOf(URL)
-      expect(result.toString()).toContain('token:')
-      expect(result.toString()).toContain('colors.json')
+  describe('default', () => {
+    it('flags variables !default', () => {
+      const scss = generateScss(tokens, 'variables', { default: true })
+      expect(scss).toContain('$color-primary: #0066cc !default;')
     })
 
-    it('returns null for non-existent files', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const result = importer.canonicalize('token:nonexistent')
-      expect(result).toBeNull()
+    it('deep-merges configured maps into the token maps', () => {
+      const scss = generateScss([...tokens, { path: ['opacity'], type: 'number', value: 0.5 }], 'map', { default: true })
+      expect(scss.startsWith('@use "sass:map";\n')).toBe(true)
+      expect(scss.startsWith('@use "sass:map";\n@use "sass:meta";\n')).toBe(true)
+      expect(scss).toContain('$color: () !default;\n@if $color != () and meta.type-of($color) != map {\n')
+      expect(scss).toContain('}\n$color: map.deep-merge((\n  primary: #0066cc,')
+      expect(scss).toContain('), $color);')
+      expect(scss).toContain('$opacity: 0.5 !default;')
     })
 
-    it('searches multiple directories', () => {
-      const importer = sassTokenImporter([DTCG_DIR, SD_DIR])
-      const dtcgResult = importer.canonicalize('token:spacing')
-      const sdResult = importer.canonicalize('token:colors')
-      expect(dtcgResult).not.toBeNull()
-      expect(sdResult).not.toBeNull()
+    it('does not load sass:map twice with the accessor', () => {
+      const scss = generateScss(tokens, 'map', { default: true, accessor: true })
+      expect(scss.match(/@use "sass:map";/g)).toHaveLength(1)
     })
+  })
 
-    it('passes through already-canonical token: URLs with absolute paths', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const url = 'token:/some/path/file.json'
-      const result = importer.canonicalize(url)
-      expect(result.toString()).toBe(url)
+  describe('naming', () => {
+    it('joins names with a custom separator', () => {
+      expect(generateScss(tokens, 'variables', { prefix: 'ds', separator: '_' })).toContain('$ds_color_primary: #0066cc;')
+      expect(generateScss(tokens, 'css', { separator: '__' })).toContain('  --color__primary: #0066cc;')
+      expect(generateScss(tokens, 'map', { prefix: 'ds', separator: '_' })).toContain('$ds_color: (')
     })
 
-    it('resolves bare imports without token: prefix', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const result = importer.canonicalize('colors')
-      expect(result).toBeInstanceOf(URL)
-      expect(result.toString()).toContain('colors.json')
+    it('rejects separators that are not valid in identifiers', () => {
+      expect(() => generateScss(tokens, 'variables', { separator: '.' })).toThrow('Invalid separator "."')
     })
 
-    it('returns null for bare non-existent files', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const result = importer.canonicalize('nonexistent')
-      expect(result).toBeNull()
+    it('names tokens with a callback', () => {
+      const name = (token) => token.path.map((segment, i) => i === 0 ? segment : segment[0].toUpperCase() + segment.slice(1)).join('')
+      expect(generateScss(tokens, 'variables', { name, prefix: 'ds' })).toContain('$ds-colorPrimary: #0066cc;')
     })
-  })
 
-  describe('load', () => {
-    it('loads and converts DTCG tokens to SCSS variables', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const canonical = importer.canonicalize('token:colors')
-      const result = importer.load(canonical)
-      expect(result.syntax).toBe('scss')
-      expect(result.contents).toContain('$color-primary: #0066cc;')
-      expect(result.contents).toContain('$color-secondary: #ff6600;')
+    it('names custom properties and their var() references with the callback', () => {
+      const scss = generateScss([
+        { path: ['color', 'blue'], type: 'color', value: '#0066cc' },
+        { path: ['color', 'primary'], type: 'color', value: '{color.blue}' },
+        { path: ['text'], type: 'color', value: '{color.ink}' }
+      ], 'css', { name: (token) => token.path.join('_') })
+      expect(scss).toContain('--color_primary: var(--color_blue);')
+      expect(scss).toContain('--text: var(--color_ink);')
     })
 
-    it('loads and converts to Sass maps', () => {
-      const importer = sassTokenImporter(DTCG_DIR, { output: 'map' })
-      const canonical = importer.canonicalize('token:colors')
-      const result = importer.load(canonical)
-      expect(result.syntax).toBe('scss')
-      expect(result.contents).toContain('$color: (')
-      expect(result.contents).toContain('primary: #0066cc,')
+    it('throws when the callback does not return a name', () => {
+      expect(() => generateScss(tokens, 'variables', { name: () => '' }))
+        .toThrow('name() returned "" for token "color.primary", expected a non-empty string')
     })
 
-    it('resolves aliases by default', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
-      const canonical = importer.canonicalize('token:aliases')
-      const result = importer.load(canonical)
-      expect(result.contents).toContain('$color-primary: #0066cc;')
-      expect(result.contents).toContain('$color-action: #0066cc;')
+    it('reports tokens that generate the same name', () => {
+      const colliding = [
+        { path: ['font', 'size'], type: 'dimension', value: '16px' },
+        { path: ['fontSize'], type: 'dimension', value: '14px' }
+      ]
+      expect(() => generateScss(colliding, 'variables'))
+        .toThrow('Token name collision: "font.size" and "fontSize" both generate $font-size')
+      expect(() => generateScss(colliding, 'css')).toThrow('both generate --font-size')
+      expect(() => generateScss(tokens, 'variables', { name: () => 'token' })).toThrow('both generate $token')
     })
 
-    it('skips alias resolution when disabled', () => {
-      const importer = sassTokenImporter(DTCG_DIR, { resolveAliases: false })
-      const canonical = importer.canonicalize('token:aliases')
-      const result = importer.load(canonical)
-      expect(result.contents).toContain('{color.base.blue}')
+    it('reports composite custom properties that collide with other tokens', () => {
+      expect(() => generateScss([
+        { path: ['body'], type: 'typography', value: { fontSize: '16px' } },
+        { path: ['body', 'font-size'], type: 'dimension', value: '14px' }
+      ], 'css')).toThrow('Token name collision: "body" and "body.font-size" both generate --body-font-size')
     })
 
-    it('loads Style Dictionary format', () => {
-      const importer = sassTokenImporter(SD_DIR)
-      const canonical = importer.canonicalize('token:colors')
-      const result = importer.load(canonical)
-      expect(result.contents).toContain('$color-primary: #0066cc;')
+    it('reports map keys shared by two tokens or a token and a group', () => {
+      expect(() => generateScss([
+        { path: ['type', 'fontSize'], type: 'dimension', value: '16px' },
+        { path: ['type', 'font-size'], type: 'dimension', value: '14px' }
+      ], 'map')).toThrow('Token name collision: "type.fontSize" and "type.font-size" both generate map key type.font-size')
+      expect(() => generateScss([
+        { path: ['color', 'blue', '500'], type: 'color', value: '#0066cc' },
+        { path: ['color', 'blue'], type: 'color', value: '#0000ff' }
+      ], 'map')).toThrow('Token name collision: "color.blue.500" and "color.blue" both generate map key color.blue')
+      expect(() => generateScss([
+        { path: ['color'], type: 'color', value: '#0000ff' },
+        { path: ['color', 'blue'], type: 'color', value: '#0066cc' }
+      ], 'map')).toThrow('both generate map key color')
     })
+  })
 
-    it('returns empty SCSS for empty JSON', () => {
-      const importer = sassTokenImporter(INVALID_DIR)
-      const canonical = importer.canonicalize('token:empty')
-      const result = importer.load(canonical)
-      expect(result.contents).toBe('')
-      expect(result.syntax).toBe('scss')
+  describe('transforms', () => {
+    const measures = [
+      { path: ['space', 'lg'], type: 'dimension', value: '24px' },
+      { path: ['space', 'sm'], type: 'dimension', value: { value: 13, unit: 'px' } },
+      { path: ['space', 'em'], type: 'dimension', value: '2em' },
+      { path: ['space', 'alias'], type: 'dimension', value: '{space.lg}' },
+      { path: ['fast'], type: 'duration', value: '250ms' },
+      { path: ['slow'], type: 'duration', value: { value: 1.5, unit: 's' } },
+      { path: ['ratio'], type: 'number', value: 1.23456 }
+    ]
+
+    it('converts px dimensions to rem', () => {
+      const scss = generateScss(measures, 'variables', { transforms: { dimension: 'rem' } })
+      expect(scss).toContain('$space-lg: 1.5rem;')
+      expect(scss).toContain('$space-sm: 0.8125rem;')
+      expect(scss).toContain('$space-em: 2em;')
+      expect(scss).toContain('$space-alias: {space.lg};')
     })
 
-    it('throws on malformed JSON', () => {
-      const importer = sassTokenImporter(INVALID_DIR)
-      const canonical = importer.canonicalize('token:malformed')
-      expect(() => importer.load(canonical)).toThrow()
+    it('uses a configurable rem base', () => {
+      const scss = generateScss(measures, 'css', { transforms: { dimension: 'rem' }, remBase: 10 })
+      expect(scss).toContain('--space-lg: 2.4rem;')
+      expect(scss).toContain('--space-alias: var(--space-lg);')
     })
 
-    it('caches results for the same file', () => {
-      const importer = sassTokenImporter(DTCG_DIR)
+    it('converts rem dimensions to px', () => {
+      const scss = generateScss([{ path: ['gap'], type: 'dimension', value: '1.5rem' }], 'variables', { transforms: { dimension: 'px' } })
+      expect(scss).toContain('$gap: 24px;')
+    })
+
+    it('normalizes durations to one unit', () => {
+      expect(generateScss(measures, 'variables', { transforms: { duration: 's' } })).toContain('$fast: 0.25s;')
+      expect(generateScss(measures, 'variables', { transforms: { duration: 'ms' } })).toContain('$slow: 1500ms;')
+    })
+
+    it('rounds dimensions, durations and numbers to a precision', () => {
+      const scss = generateScss(measures, 'variables', { transforms: { dimension: 'rem' }, precision: 2 })
+      expect(scss).toContain('$space-sm: 0.81rem;')
+      expect(scss).toContain('$ratio: 1.23;')
+    })
+
+    it('transforms the sub-values of composite tokens', () => {
+      const scss = generateScss([
+        { path: ['body'], type: 'typography', value: { fontFamily: 'Inter', fontSize: '18px', lineHeight: 1.5 } },
+        { path: ['raised'], type: 'shadow', value: [{ color: '#000', offsetX: '0px', offsetY: '2px', blur: '4px', spread: '0px' }] },
+        { path: ['fade'], type: 'transition', value: { duration: '200ms', delay: '0ms', timingFunction: [0, 0, 1, 1] } }
+      ], 'variables', { transforms: { dimension: 'rem', duration: 's' } })
+      expect(scss).toContain('  font-size: 1.125rem,')
+      expect(scss).toContain('$raised: (0rem 0.125rem 0.25rem 0rem #000);')
+      expect(scss).toContain('  duration: 0.2s,')
+    })
+
+    it('applies custom transforms by type', () => {
+      const calls = []
+      const zIndex = (value, token) => {
+        calls.push(token.path.join('.'))
+        return { modal: 100, toast: 200 }[value]
+      }
+      const scss = generateScss([{ path: ['layer', 'modal'], type: 'zIndex', value: 'modal' }], 'variables', { transforms: { zIndex } })
+      expect(scss).toContain('$layer-modal: 100;')
+      expect(calls).toEqual(['layer.modal'])
+    })
+
+    it('rejects unknown built-in transforms and invalid settings', () => {
+      expect(() => generateScss(measures, 'variables', { transforms: { dimension: 'em' } }))
+        .toThrow('Invalid transform "em" for type "dimension", expected a function or one of: px, rem')
+      expect(() => generateScss(measures, 'variables', { transforms: { color: 'rem' } }))
+        .toThrow('Invalid transform "rem" for type "color", expected a function')
+      expect(() => generateScss(measures, 'variables', { remBase: 0 })).toThrow('Invalid remBase 0')
+      expect(() => generateScss(measures, 'variables', { precision: -1 })).toThrow('Invalid precision -1')
+    })
+  })
+
+  describe('colorFormat', () => {
+    const colors = [
+      { path: ['hex'], type: 'color', value: '#0066cc' },
+      { path: ['translucent'], type: 'color', value: '#0066cc80' },
+      { path: ['hsl'], type: 'color', value: { colorSpace: 'hsl', components: [210, 100, 40] } },
+      { path: ['hwb'], type: 'color', value: { colorSpace: 'hwb', components: [210, 0, 20] } },
+      { path: ['linear'], type: 'color', value: { colorSpace: 'srgb-linear', components: [0.5, 0.5, 0.5] } },
+      { path: ['oklab'], type: 'color', value: { colorSpace: 'oklab', components: [0.5, 0.1, -0.1] } },
+      { path: ['oklch'], type: 'color', value: { colorSpace: 'oklch', components: [0.628, 0.2577, 29.23] } },
+      { path: ['p3'], type: 'color', value: { colorSpace: 'display-p3', components: [0.2, 0.5, 0.8], alpha: 0.5 } }
+    ]
+    const convert = (colorFormat) => Object.fromEntries(generateScss(colors, 'variables', { colorFormat })
+      .trim().split('\n').map((line) => line.slice(1, -1).split(': ')))
+
+    it('converts colors to hex', () => {
+      expect(convert('hex')).toEqual({
+        hex: '#0066cc',
+        translucent: '#0066cc80',
+        hsl: '#0066cc',
+        hwb: '#0066cc',
+        linear: '#bcbcbc',
+        oklab: '#81459a',
+        oklch: '#ff0000',
+        p3: '#0082d280'
+      })
+    })
+
+    it('converts colors to rgb() and hsl()', () => {
+      expect(convert('rgb')).toMatchObject({ hex: 'rgb(0 102 204)', translucent: 'rgb(0 102 204 / 0.502)', oklch: 'rgb(255 0 0)' })
+      expect(convert('hsl')).toMatchObject({ hex: 'hsl(210 100% 40%)', linear: 'hsl(0 0% 73.54%)', p3: 'hsl(203.01 100% 41.21% / 0.5)' })
+    })
+
+    it('converts colors to oklch() without gamut mapping', () => {
+      expect(convert('oklch')).toMatchObject({
+        hex: 'oklch(52.2% 0.1771 255.83)',
+        linear: 'oklch(79.37% 0 0)',
+        oklab: 'oklch(50% 0.1414 315)',
+        oklch: 'oklch(62.8% 0.2577 29.23)',
+        p3: 'oklch(58.65% 0.1567 245.7 / 0.5)'
+      })
+    })
+
+    it('maps out-of-gamut colors into sRGB', () => {
+      const wide = [
+        { path: ['red'], type: 'color', value: { colorSpace: 'display-p3', components: [1, 0, 0] } },
+        { path: ['green'], type: 'color', value: { colorSpace: 'display-p3', components: [0, 1, 0] } },
+        { path: ['bright'], type: 'color', value: { colorSpace: 'oklch', components: [1.2, 0.1, 100] } }
+      ]
+      const scss = generateScss(wide, 'variables', { colorFormat: 'hex' })
+      expect(scss).toContain('$red: #ff0b0c;')
+      expect(scss).toContain('$green: #00fb29;')
+      expect(scss).toContain('$bright: #ffffff;')
+    })
+
+    it('uses the hex field of colors from other spaces for sRGB formats', () => {
+      const scss = generateScss([
+        { path: ['red'], type: 'color', value: { colorSpace: 'display-p3', components: [1, 0, 0], hex: '#ff0000' } }
+      ], 'variables', { colorFormat: 'rgb' })
+      expect(scss).toContain('$red: rgb(255 0 0);')
+    })
+
+    it('converts the colors of composite tokens', () => {
+      const scss = generateScss([
+        { path: ['focus'], type: 'border', value: { color: { colorSpace: 'oklch', components: [0.628, 0.2577, 29.23] }, width: '2px', style: 'solid' } }
+      ], 'variables', { colorFormat: 'hex' })
+      expect(scss).toContain('  color: #ff0000,')
+    })
+
+    it('leaves named colors and unsupported color spaces alone', () => {
+      const scss = generateScss([
+        { path: ['named'], type: 'color', value: 'rebeccapurple' },
+        { path: ['lab'], type: 'color', value: { colorSpace: 'lab', components: [50, 20, -30] } }
+      ], 'variables', { colorFormat: 'hex' })
+      expect(scss).toContain('$named: rebeccapurple;')
+      expect(scss).toContain('$lab: lab(50 20 -30);')
+    })
+
+    it('rejects unknown formats', () => {
+      expect(() => generateScss(colors, 'variables', { colorFormat: 'hsv' }))
+        .toThrow('Invalid colorFormat "hsv", expected one of: hex, rgb, hsl, oklch, preserve')
+    })
+
+    it('adds sRGB fallbacks for wide-gamut colors in css output', () => {
+      const scss = generateScss(colors, 'css', { colorFallback: true })
+      expect(scss).toContain('  --p3: #0082d280;\n')
+      expect(scss).toContain('  --oklch: #ff0000;\n')
+      expect(scss).toContain('  --hsl: hsl(210 100% 40%);\n')
+      expect(scss).toContain([
+        '@supports (color: color(display-p3 0 0 0)) {',
+        '  :root {',
+        '    --linear: color(srgb-linear 0.5 0.5 0.5);',
+        '    --p3: color(display-p3 0.2 0.5 0.8 / 0.5);',
+        '  }',
+        '}'
+      ].join('\n'))
+      expect(scss).toContain('@supports (color: oklch(0 0 0)) {\n  :root {\n    --oklch: oklch(0.628 0.2577 29.23);')
+    })
+  })
+
+  describe('filters', () => {
+    const mixed = [
+      { path: ['color', 'blue', '500'], type: 'color', value: '#0066cc' },
+      { path: ['color', 'red'], type: 'color', value: '#cc0000' },
+      { path: ['spacing', 'sm'], type: 'dimension', value: '8px' },
+      { path: ['size', 'icon'], type: 'dimension', value: '24px' }
+    ]
+    const names = (options) => generateScss(mixed, 'variables', options).match(/\$[\w-]+/g)
+
+    it('includes tokens by path glob', () => {
+      expect(names({ include: 'color.*' })).toEqual(['$color-red'])
+      expect(names({ include: 'color.**' })).toEqual(['$color-blue-500', '$color-red'])
+      expect(names({ include: ['**.sm', 'size.ic*'] })).toEqual(['$spacing-sm', '$size-icon'])
+    })
+
+    it('includes and excludes tokens by type', () => {
+      expect(names({ include: '$type:dimension' })).toEqual(['$spacing-sm', '$size-icon'])
+      expect(names({ exclude: '$type:color' })).toEqual(['$spacing-sm', '$size-icon'])
+    })
+
+    it('applies exclude after include', () => {
+      expect(names({ include: '$type:color', exclude: 'color.blue.**' })).toEqual(['$color-red'])
+      expect(names({ include: 'color.**,spacing.*', exclude: ['color.red'] })).toEqual(['$color-blue-500', '$spacing-sm'])
+    })
+
+    it('returns an empty string when every token is filtered out', () => {
+      expect(generateScss(mixed, 'variables', { include: 'shadow.**' })).toBe('')
+    })
+
+    it('references filtered tokens in css output without defining them', () => {
+      const aliased = [
+        { path: ['color', 'blue'], type: 'color', value: '#0066cc', description: 'Brand blue' },
+        { path: ['color', 'link'], type: 'color', value: '{color.blue}' }
+      ]
+      const seen = []
+      const name = (token) => {
+        seen.push(token)
+        return token.path.join('_')
+      }
+      const scss = generateScss(aliased, 'css', { include: 'color.link', name })
+      expect(scss).toBe(':root {\n  --color_link: var(--color_blue);\n}\n')
+      expect(seen.find((token) => token.path.join('.') === 'color.blue')).toEqual(aliased[0])
+    })
+  })
+
+  describe('mixins', () => {
+    const composites = [
+      {
+        path: ['typography', 'heading', 'h1'],
+        type: 'typography',
+        value: { fontFamily: ['Helvetica', 'sans-serif'], fontSize: '32px', letterSpacing: '-0.01em', textCase: 'uppercase' }
+      },
+      { path: ['border', 'thin'], type: 'border', value: { color: '#cccccc', width: '1px', style: 'solid' } },
+      {
+        path: ['shadow', 'inner'],
+        type: 'shadow',
+        value: { color: '#00000033', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px', inset: true }
+      },
+      { path: ['color', 'primary'], type: 'color', value: '#0066cc' }
+    ]
+
+    it('spreads typography tokens into CSS properties', () => {
+      const scss = generateScss(composites, 'variables', { mixins: true })
+      expect(scss).toContain('@mixin typography-heading-h1 {')
+      expect(scss).toContain('  font-family: ("Helvetica", sans-serif);')
+      expect(scss).toContain('  font-size: 32px;')
+      expect(scss).toContain('  letter-spacing: -0.01em;')
+      expect(scss).toContain('  text-transform: uppercase;')
+    })
+
+    it('expands border and shadow tokens to shorthands', () => {
+      const scss = generateScss(composites, 'map', { mixins: true })
+      expect(scss).toContain('@mixin border-thin {\n  border: 1px solid #cccccc;\n}')
+      expect(scss).toContain('@mixin shadow-inner {\n  box-shadow: inset 0px 1px 2px 0px #00000033;\n}')
+    })
+
+    it('only generates mixins for composite tokens', () => {
+      expect(generateScss(composites, 'variables', { mixins: true })).not.toContain('@mixin color')
+    })
+
+    it('spreads transitions into longhand properties', () => {
+      const scss = generateScss([
+        { path: ['transition', 'fade'], type: 'transition', value: { duration: '200ms', delay: '0ms', timingFunction: [0.5, 0, 1, 1] } }
+      ], 'variables', { mixins: true })
+      expect(scss).toContain('  transition-duration: 200ms;')
+      expect(scss).toContain('  transition-timing-function: cubic-bezier(0.5, 0, 1, 1);')
+      expect(scss).toContain('  transition-delay: 0ms;')
+    })
+
+    it('expands shadow layers and fails for borders with a strokeStyle object', () => {
+      const scss = generateScss([
+        { path: ['shadow', 'layered'], type: 'shadow', value: [{ color: '#000', offsetX: '0', offsetY: '1px', blur: '2px' }, { color: '#fff', offsetX: '0', offsetY: '0', blur: '1px', inset: true }] },
+        { path: ['border', 'dashed'], type: 'border', value: { color: '#ccc', width: '1px', style: { dashArray: ['2px'], lineCap: 'butt' } } }
+      ], 'variables', { mixins: true })
+      expect(scss).toContain('  box-shadow: (0 1px 2px #000, inset 0 0 1px #fff);')
+      expect(scss).toContain('@mixin border-dashed {\n  @error "Token \\"border.dashed\\" has a strokeStyle object, which CSS can\'t express.')
+      expect(scss).not.toContain('dashed #ccc')
+      const css = sass.compileString(`${scss}\n.a { @include shadow-layered; }`).css
+      expect(css).toContain('box-shadow: 0 1px 2px #000, inset 0 0 1px #fff;')
+      expect(() => sass.compileString(`${scss}\n.a { @include border-dashed; }`)).toThrow('has a strokeStyle object')
+    })
+
+    it('references custom properties in css mode', () => {
+      const scss = generateScss(composites, 'css', { mixins: true })
+      expect(scss).toContain('  border: var(--border-thin-width) var(--border-thin-style) var(--border-thin-color);')
+    })
+
+    it('does not generate mixins by default', () => {
+      expect(generateScss(composites, 'variables')).not.toContain('@mixin')
+    })
+  })
+
+  describe('descriptions and deprecation', () => {
+    const tokens = [
+      { path: ['color', 'primary'], type: 'color', value: '#0066cc', description: 'Brand color\nfor actions' },
+      { path: ['color', 'accent'], type: 'color', value: '#ff6600', deprecated: 'Use color.primary instead.' },
+      { path: ['spacing'], type: 'dimension', value: '8px', deprecated: true }
+    ]
+
+    it('emits SassDoc comments before variables', () => {
+      const scss = generateScss(tokens, 'variables')
+      expect(scss).toContain('/// Brand color\n/// for actions\n$color-primary: #0066cc;')
+      expect(scss).toContain('/// @deprecated Use color.primary instead.\n$color-accent: #ff6600;')
+      expect(scss).toContain('/// @deprecated\n$spacing: 8px;')
+    })
+
+    it('emits SassDoc comments before map entries', () => {
+      const scss = generateScss(tokens, 'map')
+      expect(scss).toContain('  /// Brand color\n  /// for actions\n  primary: #0066cc,')
+      expect(scss).toContain('/// @deprecated\n$spacing: 8px;')
+    })
+
+    it('emits comments before custom properties', () => {
+      const scss = generateScss(tokens, 'css')
+      expect(scss).toContain('  /// @deprecated Use color.primary instead.\n  --color-accent: #ff6600;')
+    })
+
+    it('lists deprecation warnings for the accessor', () => {
+      const scss = generateScss(tokens, 'map', { accessor: true })
+      expect(scss).toContain([
+        '$-deprecated: (',
+        '  "color.accent": "Token \\"color.accent\\" is deprecated. Use color.primary instead.",',
+        '  "spacing": "Token \\"spacing\\" is deprecated.",',
+        ');'
+      ].join('\n'))
+      expect(generateScss(tokens.slice(0, 1), 'map', { accessor: true })).toContain('$-deprecated: ();')
+    })
+
+    it('warns from mixins of deprecated tokens', () => {
+      const scss = generateScss([
+        { path: ['border'], type: 'border', value: { width: '1px', style: 'solid', color: '#000' }, deprecated: 'Use outline.' }
+      ], 'variables', { mixins: true })
+      expect(scss).toContain('/// @deprecated Use outline.\n@mixin border {\n  @warn "Token \\"border\\" is deprecated. Use outline.";')
+    })
+  })
+
+  describe('css mode', () => {
+    it('generates custom properties in a :root block', () => {
+      const scss = generateScss(tokens, 'css')
+      expect(scss).toContain(':root {')
+      expect(scss).toContain('  --color-primary: #0066cc;')
+      expect(scss).toContain('  --spacing-md: 16px;')
+      expect(scss.trim().endsWith('}')).toBe(true)
+    })
+
+    it('supports a custom selector and name prefix', () => {
+      const scss = generateScss(tokens, 'css', { selector: '[data-theme="light"]', prefix: 'ds' })
+      expect(scss).toContain('[data-theme="light"] {')
+      expect(scss).toContain('--ds-color-primary: #0066cc;')
+    })
+
+    it('turns aliases into var() references', () => {
+      const aliased = [
+        { path: ['color', 'base', 'blue'], type: 'color', value: '#0066cc' },
+        { path: ['color', 'primary'], type: 'color', value: '{color.base.blue}' }
+      ]
+      const scss = generateScss(aliased, 'css', { prefix: 'ds' })
+      expect(scss).toContain('--ds-color-primary: var(--ds-color-base-blue);')
+    })
+
+    it('turns embedded references and aliases in arrays into var() references', () => {
+      const scss = generateScss([
+        { path: ['border'], type: 'string', value: '1px solid {color.border}' },
+        { path: ['font', 'body'], type: 'fontFamily', value: ['{font.brand}', 'sans-serif'] },
+        { path: ['ease'], type: 'cubicBezier', value: ['{ease.x}', 0, 0.2, 1] }
+      ], 'css')
+      expect(scss).toContain('--border: 1px solid var(--color-border);')
+      expect(scss).toContain('--font-body: var(--font-brand), sans-serif;')
+      expect(scss).toContain('--ease: cubic-bezier(var(--ease-x), 0, 0.2, 1);')
+    })
+
+    it('turns math expressions into calc() over var() references', () => {
+      const scss = generateScss([
+        { path: ['spacing', 'base'], type: 'dimension', value: '8px' },
+        { path: ['spacing', 'lg'], type: 'dimension', value: '({spacing.base} + 2px) * 2', math: true }
+      ], 'css')
+      expect(scss).toContain('--spacing-lg: calc((var(--spacing-base) + 2px) * 2);')
+    })
+
+    it('emits shadow layers and gradients as single properties', () => {
+      const scss = generateScss([
+        { path: ['shadow', 'layered'], type: 'shadow', value: [{ color: '{color.black}', offsetX: '0', offsetY: '1px', blur: '2px' }, { color: '#fff', offsetX: '0', offsetY: '0', blur: '1px', inset: true }] },
+        { path: ['gradient', 'brand'], type: 'gradient', value: [{ color: '#0066cc', position: 0 }, { color: '{color.orange}', position: 1 }] },
+        { path: ['shadow', 'sm'], type: 'shadow', value: { color: '#000', offsetX: '0', offsetY: '1px', blur: '2px' } }
+      ], 'css')
+      expect(scss).toContain('--shadow-layered: 0 1px 2px var(--color-black), inset 0 0 1px #fff;')
+      expect(scss).toContain('--gradient-brand: #0066cc 0%, var(--color-orange) 100%;')
+      expect(scss).toContain('--shadow-sm: 0 1px 2px #000;')
+      expect(scss).not.toContain('--shadow-sm-')
+    })
+
+    it('leaves out strokeStyle objects with a warning', () => {
+      const scss = generateScss([
+        { path: ['stroke', 'dashed'], type: 'strokeStyle', value: { dashArray: ['2px'], lineCap: 'butt' } },
+        { path: ['border', 'dashed'], type: 'border', value: { color: '#ccc', width: '1px', style: { dashArray: ['2px'] } } }
+      ], 'css')
+      expect(scss).not.toContain('--stroke-dashed')
+      expect(scss).not.toContain('--border-dashed-style')
+      expect(scss).toContain('--border-dashed-width: 1px;')
+      expect(scss).toContain('@warn "Token \\"stroke.dashed\\" has a strokeStyle object, which CSS can\'t express. Use a keyword such as \\"dashed\\" instead.";')
+      expect(scss).toContain('@warn "Token \\"border.dashed\\" has a strokeStyle object')
+    })
+
+    it('expands composite tokens into one property per sub-value', () => {
+      const composite = [
+        { path: ['border', 'thin'], type: 'border', value: { color: '{color.black}', width: '1px', style: 'solid' } },
+        { path: ['typography', 'body'], type: 'typography', value: { fontFamily: ['Georgia', 'serif'], fontSize: '16px' } }
+      ]
+      const scss = generateScss(composite, 'css')
+      expect(scss).toContain('--border-thin-color: var(--color-black);')
+      expect(scss).toContain('--border-thin-width: 1px;')
+      expect(scss).toContain('--typography-body-font-family: "Georgia", serif;')
+    })
+  })
+
+  it('returns empty string for empty tokens', () => {
+    expect(generateScss([], 'variables')).toBe('')
+    expect(generateScss([], 'map')).toBe('')
+    expect(generateScss([], 'css')).toBe('')
+  })
+})
+
+describe('resolver', () => {
+  const document = JSON.parse(fs.readFileSync(RESOLVER_FILE, 'utf-8'))
+
+  it('fills in modifier defaults', () => {
+    expect(normalizeResolverInputs(document, {})).toEqual({ density: 'comfortable', theme: 'light' })
+    expect(normalizeResolverInputs(document, { theme: 'dark' })).toEqual({ density: 'comfortable', theme: 'dark' })
+  })
+
+  it('rejects unknown modifiers and contexts', () => {
+    expect(() => normalizeResolverInputs(document, { contrast: 'high' })).toThrow('Unknown resolver modifier "contrast"')
+    expect(() => normalizeResolverInputs(document, { theme: 'sepia' })).toThrow('expected one of: light, dark')
+  })
+
+  it('merges sets and modifier contexts in resolution order', () => {
+    const { tokens, files } = applyResolver(document, { theme: 'dark', density: 'compact' }, RESOLVER_DIR)
+    const byPath = Object.fromEntries(tokens.map((token) => [token.path.join('.'), token.value]))
+    expect(byPath['color.background']).toBe('{color.black}')
+    expect(byPath['spacing.base']).toBe('4px')
+    expect(byPath['spacing.gap']).toBe('{spacing.base}')
+    expect(files).toEqual([
+      path.join(RESOLVER_DIR, 'core.json'),
+      path.join(RESOLVER_DIR, 'theme', 'dark.json'),
+      path.join(RESOLVER_DIR, 'density', 'compact.json')
+    ])
+  })
+
+  it('supports inline sources and resolution order entries', () => {
+    const inline = {
+      resolutionOrder: [
+        { type: 'set', name: 'base', sources: [{ size: { $type: 'dimension', sm: { $value: '8px' } } }] },
+        {
+          type: 'modifier',
+          name: 'scale',
+          default: 'normal',
+          contexts: {
+            normal: [],
+            large: [{ size: { $type: 'dimension', sm: { $value: '12px' } } }]
+          }
+        }
+      ]
+    }
+    expect(applyResolver(inline, {}, RESOLVER_DIR).tokens[0].value).toBe('8px')
+    expect(applyResolver(inline, { scale: 'large' }, RESOLVER_DIR).tokens[0].value).toBe('12px')
+  })
+})
+
+describe('sassTokenImporter', () => {
+  describe('canonicalize', () => {
+    it('resolves a token: prefixed import', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.canonicalize('token:colors')
+      expect(result).toBeInstanceOf(URL)
+      expect(result.toString()).toContain('token:')
+      expect(result.toString()).toContain('colors.json')
+    })
+
+    it('returns null for non-existent files', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.canonicalize('token:nonexistent')
+      expect(result).toBeNull()
+    })
+
+    it('searches multiple directories', () => {
+      const importer = sassTokenImporter([DTCG_DIR, SD_DIR])
+      const dtcgResult = importer.canonicalize('token:spacing')
+      const sdResult = importer.canonicalize('token:colors')
+      expect(dtcgResult).not.toBeNull()
+      expect(sdResult).not.toBeNull()
+    })
+
+    it('passes through already-canonical token: URLs with absolute paths', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const url = 'token:/some/path/file.json'
+      const result = importer.canonicalize(url)
+      expect(result.toString()).toBe(url)
+    })
+
+    it('resolves bare imports without token: prefix', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.canonicalize('colors')
+      expect(result).toBeInstanceOf(URL)
+      expect(result.toString()).toContain('colors.json')
+    })
+
+    it('returns null for bare non-existent files', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.canonicalize('nonexistent')
+      expect(result).toBeNull()
+    })
+
+    it('normalizes option overrides in the query string', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.canonicalize('token:colors?prefix=c&output=map')
+      expect(result.toString()).toMatch(/colors\.json\?output=map&prefix=c$/)
+    })
+
+    it('rejects unknown query parameters', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      expect(() => importer.canonicalize('token:colors?outptu=map')).toThrow('Unknown parameter "outptu"')
+    })
+
+    it('rejects invalid option values', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      expect(() => importer.canonicalize('token:colors?output=json')).toThrow('Invalid output "json"')
+      expect(() => importer.canonicalize('token:colors?resolveAliases=no')).toThrow('Invalid resolveAliases "no"')
+    })
+
+    it('resolves themes from a $themes.json manifest', () => {
+      const importer = sassTokenImporter(THEMES_DIR)
+      const result = importer.canonicalize('token:theme/dark')
+      expect(result.toString()).toBe('token:theme/dark')
+    })
+
+    it('returns null for unknown themes', () => {
+      const importer = sassTokenImporter(THEMES_DIR)
+      expect(importer.canonicalize('token:theme/sepia')).toBeNull()
+    })
+  })
+
+  describe('resolver', () => {
+    it('canonicalizes resolver URLs with normalized modifier values', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+      expect(importer.canonicalize('token:resolver').toString()).toBe('token:resolver?density=comfortable&theme=light')
+      expect(importer.canonicalize('token:resolver?theme=dark&density=compact').toString())
+        .toBe('token:resolver?density=compact&theme=dark')
+    })
+
+    it('does not handle resolver URLs without a resolver document', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR)
+      expect(importer.canonicalize('token:resolver?theme=dark')).toBeNull()
+    })
+
+    it('loads the resolved and merged tokens', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+      const result = importer.load(importer.canonicalize('token:resolver?theme=dark&density=compact'))
+      expect(result.contents).toContain('$color-background: #000000;')
+      expect(result.contents).toContain('$spacing-base: 4px;')
+      expect(result.contents).toContain('$spacing-gap: 4px;')
+    })
+
+    it('caches each modifier combination separately', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+      const light = importer.load(importer.canonicalize('token:resolver'))
+      const dark = importer.load(importer.canonicalize('token:resolver?theme=dark'))
+      expect(light.contents).toContain('$color-background: #ffffff;')
+      expect(dark.contents).toContain('$color-background: #000000;')
+    })
+
+    it('keeps option overrides separate from modifier values', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+      const canonical = importer.canonicalize('token:resolver?theme=dark&output=map')
+      expect(canonical.toString()).toBe('token:resolver?density=comfortable&output=map&theme=dark')
+      expect(importer.load(canonical).contents).toContain('$color: (')
+    })
+
+    it('throws on invalid modifier values', () => {
+      const importer = sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+      expect(() => importer.canonicalize('token:resolver?theme=sepia')).toThrow('Invalid value "sepia"')
+    })
+  })
+
+  describe('themes', () => {
+    it('merges the enabled sets of a theme and resolves against source sets', () => {
+      const importer = sassTokenImporter(THEMES_DIR)
+      const result = importer.load(importer.canonicalize('token:theme/dark'))
+      expect(result.contents).toContain('$color-background: #000000;')
+      expect(result.contents).toContain('$color-text: #ffffff;')
+      expect(result.contents).not.toContain('$color-white')
+    })
+
+    it('lets later sets override earlier ones', () => {
+      const importer = sassTokenImporter(THEMES_DIR)
+      const result = importer.load(importer.canonicalize('token:theme/high-contrast'))
+      expect(result.contents).toContain('$color-background: #000000;')
+      expect(result.contents).toContain('$color-focus: #ffff00;')
+      expect(result.contents.match(/\$color-focus:/g)).toHaveLength(1)
+    })
+
+    it('skips disabled sets', () => {
+      const importer = sassTokenImporter(THEMES_DIR)
+      const result = importer.load(importer.canonicalize('token:theme/light'))
+      expect(result.contents).toContain('$color-background: #ffffff;')
+    })
+
+    it('accepts themes as an importer option', () => {
+      const importer = sassTokenImporter(THEMES_DIR, {
+        themes: { 'dark-all': ['core', 'semantic/dark'] }
+      })
+      expect(importer.canonicalize('token:theme/dark')).toBeNull()
+      const result = importer.load(importer.canonicalize('token:theme/dark-all'))
+      expect(result.contents).toContain('$color-white: #ffffff;')
+      expect(result.contents).toContain('$color-background: #000000;')
+    })
+
+    it('throws when a token set of a theme is missing', () => {
+      const importer = sassTokenImporter(THEMES_DIR, {
+        themes: { broken: ['core', 'semantic/missing'] }
+      })
+      const canonical = importer.canonicalize('token:theme/broken')
+      expect(() => importer.load(canonical)).toThrow('Token set "semantic/missing" of theme "broken" not found')
+    })
+  })
+
+  describe('load', () => {
+    it('loads and converts DTCG tokens to SCSS variables', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const canonical = importer.canonicalize('token:colors')
+      const result = importer.load(canonical)
+      expect(result.syntax).toBe('scss')
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+      expect(result.contents).toContain('$color-secondary: #ff6600;')
+    })
+
+    it('loads and converts to Sass maps', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { output: 'map' })
+      const canonical = importer.canonicalize('token:colors')
+      const result = importer.load(canonical)
+      expect(result.syntax).toBe('scss')
+      expect(result.contents).toContain('$color: (')
+      expect(result.contents).toContain('primary: #0066cc,')
+    })
+
+    it('resolves aliases by default', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const canonical = importer.canonicalize('token:aliases')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+      expect(result.contents).toContain('$color-action: #0066cc;')
+    })
+
+    it('skips alias resolution when disabled', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { resolveAliases: false })
+      const canonical = importer.canonicalize('token:aliases')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('{color.base.blue}')
+    })
+
+    it('loads Style Dictionary format', () => {
+      const importer = sassTokenImporter(SD_DIR)
+      const canonical = importer.canonicalize('token:colors')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+    })
+
+    it('returns empty SCSS for empty JSON', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:empty')
+      const result = importer.load(canonical)
+      expect(result.contents).toBe('')
+      expect(result.syntax).toBe('scss')
+    })
+
+    it('throws on malformed JSON', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:malformed')
+      expect(() => importer.load(canonical)).toThrow()
+    })
+
+    it('reports the file, line and column of malformed JSON', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:malformed')
+      expect(() => importer.load(canonical)).toThrow(`Invalid JSON in ${path.join(INVALID_DIR, 'malformed.json')} (1:2)`)
+    })
+
+    it('shows a code frame of the offending lines', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:trailing-comma')
+      expect(() => importer.load(canonical)).toThrow([
+        '  1 | {',
+        '  2 |   "color": {',
+        '> 3 | \t"primary": { "$value": "#0066cc", },',
+        '    | \t                                  ^',
+        '  4 |   }'
+      ].join('\n'))
+    })
+
+    it('points at the end of truncated JSON', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:truncated')
+      expect(() => importer.load(canonical)).toThrow(`Invalid JSON in ${path.join(INVALID_DIR, 'truncated.json')} (4:1)`)
+    })
+
+    it('rejects empty files', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:blank')
+      expect(() => importer.load(canonical)).toThrow(`JSON file ${path.join(INVALID_DIR, 'blank.json')} is empty`)
+    })
+
+    it('keeps aliases as var() references in css mode', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { output: 'css' })
+      const canonical = importer.canonicalize('token:aliases')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('--color-base-blue: #0066cc;')
+      expect(result.contents).toContain('--color-primary: var(--color-base-blue);')
+      expect(result.contents).toContain('--color-action: var(--color-primary);')
+    })
+
+    it('detects circular references in css mode', () => {
+      const importer = sassTokenImporter(CIRCULAR_DIR, { output: 'css' })
+      const canonical = importer.canonicalize('token:first')
+      expect(() => importer.load(canonical)).toThrow('Circular alias reference')
+    })
+
+    it('resolves aliases defined in other token files', () => {
+      const importer = sassTokenImporter(CROSS_FILE_DIR)
+      const canonical = importer.canonicalize('token:semantic/colors')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+      expect(result.contents).toContain('$color-danger: #cc0000;')
+      expect(result.contents).toContain('$color-action: #0066cc;')
+      expect(result.contents).not.toContain('$color-base-blue')
+    })
+
+    it('resolves aliases against an explicit list of files', () => {
+      const importer = sassTokenImporter(path.join(CROSS_FILE_DIR, 'semantic'), {
+        files: [path.join(CROSS_FILE_DIR, 'primitives.json')]
+      })
+      const canonical = importer.canonicalize('token:colors')
+      const result = importer.load(canonical)
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+    })
+
+    it('skips unrelated and malformed files in the alias index', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+      try {
+        fs.cpSync(CROSS_FILE_DIR, dir, { recursive: true })
+        fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ name: 'app', scripts: ['build'] }))
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ "color": ')
+        const importer = sassTokenImporter(dir)
+        const result = importer.load(importer.canonicalize('token:semantic/colors'))
+        expect(result.contents).toContain('$color-primary: #0066cc;')
+        expect(() => importer.load(importer.canonicalize('token:broken'))).toThrow(`Invalid JSON in ${path.join(dir, 'broken.json')}`)
+
+        fs.writeFileSync(path.join(dir, 'semantic', 'links.json'), JSON.stringify({ link: { $type: 'color', $value: '{color.brand}' } }))
+        expect(() => importer.load(importer.canonicalize('token:semantic/links')))
+          .toThrow(`Cannot resolve alias {color.brand}, token files that failed to load:\n  ${path.join(dir, 'broken.json')}: Invalid JSON`)
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('throws on circular references across files', () => {
+      const importer = sassTokenImporter(CIRCULAR_DIR)
+      const canonical = importer.canonicalize('token:first')
+      expect(() => importer.load(canonical)).toThrow('Circular alias reference')
+    })
+
+    it('applies option overrides from the query string', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const result = importer.load(importer.canonicalize('token:aliases?output=map&prefix=c&resolveAliases=false'))
+      expect(result.contents).toContain('$c-color: (')
+      expect(result.contents).toContain('{color.base.blue}')
+    })
+
+    it('applies the color format, also per import', () => {
+      const importer = sassTokenImporter(FIGMA_DIR, { colorFormat: 'rgb' })
+      expect(importer.load(importer.canonicalize('token:figma/Primitives')).contents).toContain('$color-overlay: rgb(0 0 0 / 0.5);')
+      expect(importer.load(importer.canonicalize('token:figma/Primitives?colorFormat=hex')).contents).toContain('$color-overlay: #00000080;')
+      expect(() => importer.canonicalize('token:figma/Primitives?colorFormat=cmyk')).toThrow('Invalid colorFormat "cmyk"')
+    })
+
+    it('applies value transforms', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { transforms: { dimension: 'rem' } })
+      const result = importer.load(importer.canonicalize('token:spacing'))
+      expect(result.contents).toContain('$spacing-sm: 0.5rem;')
+    })
+
+    it('applies naming and filter overrides from the query string', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { prefix: 'ds', name: (token) => token.path.slice(1).join('-') })
+      const result = importer.load(importer.canonicalize('token:aliases?include=$type:color&exclude=color.base.**&separator=_'))
+      expect(result.contents).toContain('$ds_primary: #0066cc;')
+      expect(result.contents).not.toContain('base')
+      expect(() => importer.canonicalize('token:aliases?separator=.')).toThrow('Invalid separator "."')
+    })
+
+    it('caches each query variant separately', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const variables = importer.load(importer.canonicalize('token:colors'))
+      const map = importer.load(importer.canonicalize('token:colors?output=map'))
+      expect(variables.contents).toContain('$color-primary: #0066cc;')
+      expect(map.contents).toContain('$color: (')
+    })
+
+    it('throws on invalid tokens in strict mode', () => {
+      const importer = sassTokenImporter(STRICT_DIR, { strict: true })
+      const canonical = importer.canonicalize('token:broken')
+      const file = path.join(STRICT_DIR, 'broken.json')
+      expect(() => importer.load(canonical)).toThrow([
+        'Invalid design tokens:',
+        `  ${file}: color.link: unresolved reference {color.missing}`,
+        `  ${file}: spacing.sm: invalid dimension "8", expected a number with a unit`,
+        `  ${file}: opacity.half: invalid number {"value":0.5}`
+      ].join('\n'))
+    })
+
+    it('does not validate tokens by default', () => {
+      const importer = sassTokenImporter(STRICT_DIR)
+      expect(() => importer.load(importer.canonicalize('token:broken'))).not.toThrow()
+    })
+
+    it('keeps invalid tokens in the module in warn mode', () => {
+      const importer = sassTokenImporter(STRICT_DIR, { strict: 'warn' })
+      const result = importer.load(importer.canonicalize('token:broken'))
+      expect(result.contents).toContain('$color-primary: #0066cc;')
+      expect(result.contents).toContain('$color-link: "{color.missing}";')
+      expect(result.contents).toContain('$spacing-sm: 8;')
+      expect(result.contents).toContain('$opacity-half: "{\\"value\\":0.5}";')
+      const map = importer.load(importer.canonicalize('token:broken?output=map'))
+      expect(map.contents).toContain('link: "{color.missing}",')
+    })
+
+    it('validates custom types with a transform in strict mode', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+      try {
+        fs.writeFileSync(path.join(dir, 'layers.json'), JSON.stringify({
+          layer: { modal: { $type: 'zIndex', $value: 'modal' }, gap: { $type: 'dimension', $value: '8' } }
+        }))
+        const zIndex = (value) => ({ modal: 100 })[value]
+        const importer = sassTokenImporter(dir, { strict: 'error', transforms: { zIndex } })
+        expect(() => importer.load(importer.canonicalize('token:layers'))).toThrow(/^Invalid design tokens:\n {2}\S+: layer\.gap: invalid dimension "8", expected a number with a unit$/)
+        fs.writeFileSync(path.join(dir, 'layers.json'), JSON.stringify({ layer: { modal: { $type: 'zIndex', $value: 'modal' } } }))
+        const fresh = sassTokenImporter(dir, { strict: 'error', transforms: { zIndex } })
+        expect(fresh.load(fresh.canonicalize('token:layers')).contents).toContain('$layer-modal: 100;')
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('reports the source set file of themed tokens', () => {
+      const importer = sassTokenImporter(THEMES_DIR, {
+        strict: true,
+        files: [],
+        themes: { broken: ['semantic/dark'] }
+      })
+      const canonical = importer.canonicalize('token:theme/broken')
+      expect(() => importer.load(canonical)).toThrow(`${path.join(THEMES_DIR, 'semantic', 'dark.json')}: color.background: unresolved reference {color.black}`)
+    })
+
+    it('caches results for the same file', () => {
+      const importer = sassTokenImporter(DTCG_DIR)
+      const canonical = importer.canonicalize('token:colors')
+      const first = importer.load(canonical)
+      const second = importer.load(canonical)
+      expect(first).toBe(second)
+    })
+  })
+
+  describe('tokens studio', () => {
+    it('loads Tokens Studio files with math and composite values', () => {
+      const importer = sassTokenImporter(TOKENS_STUDIO_DIR, { strict: true })
+      const contents = importer.load(importer.canonicalize('token:core')).contents
+      expect(contents).toContain('$spacing-lg: 16px;')
+      expect(contents).toContain('$spacing-gutter: calc(8px + 1rem);')
+      expect(contents).toContain('$shadow-card: (0 2px 4px 0 #00000033, inset 0 1px 2px 0 #0000001a);')
+      expect(contents).toContain('  font-weight: 700,')
+    })
+
+    it('loads multi-set files in token set order', () => {
+      const importer = sassTokenImporter(TOKENS_STUDIO_DIR)
+      const contents = importer.load(importer.canonicalize('token:sets')).contents
+      expect(contents).toContain('$color-gray: #555555;')
+      expect(contents).toContain('$color-primary: #0066cc;')
+      expect(contents).toContain('$spacing-gap: 12px;')
+    })
+  })
+
+  describe('$ref and $extends', () => {
+    it('loads files with JSON Pointer references and extended groups', () => {
+      const importer = sassTokenImporter(REFERENCES_DIR, { strict: true })
+      const contents = importer.load(importer.canonicalize('token:components')).contents
+      expect(contents).toContain('$color-primary: #0066cc;')
+      expect(contents).toContain('$button-base-outline: #0066cc80;')
+      expect(contents).toContain('$button-primary-background: #0066cc;')
+      expect(contents).toContain('$button-primary-text: #ffffff;')
+      expect(contents).toContain('$button-primary-outline: #0066cc80;')
+    })
+
+    it('emits $ref pointers to tokens as var() references in css output', () => {
+      const importer = sassTokenImporter(REFERENCES_DIR, { output: 'css' })
+      const contents = importer.load(importer.canonicalize('token:components')).contents
+      expect(contents).toContain('--button-primary-background: var(--color-primary);')
+    })
+  })
+
+  describe('figma', () => {
+    it('canonicalizes collections to their default mode', () => {
+      const importer = sassTokenImporter(FIGMA_DIR)
+      expect(importer.canonicalize('token:figma/Primitives').href).toBe('token:figma/Primitives/Light')
+      expect(importer.canonicalize('token:figma/Primitives/Dark').href).toBe('token:figma/Primitives/Dark')
+      expect(importer.canonicalize('token:figma/Unknown')).toBeNull()
+    })
+
+    it('throws on unknown modes', () => {
+      const importer = sassTokenImporter(FIGMA_DIR)
+      expect(() => importer.canonicalize('token:figma/Primitives/Dim'))
+        .toThrow('Unknown mode "Dim" of Figma collection "Primitives", expected one of: Light, Dark')
+    })
+
+    it('loads one collection in the requested mode', () => {
+      const importer = sassTokenImporter(FIGMA_DIR)
+      const dark = importer.load(importer.canonicalize('token:figma/Primitives/Dark')).contents
+      expect(dark).toBe('$color-background: #111111;\n$color-blue: #6699ff;\n$color-overlay: rgba(0, 0, 0, 0.7);\n')
+    })
+
+    it('resolves aliases into other collections', () => {
+      const importer = sassTokenImporter(FIGMA_DIR, { strict: true })
+      const semantic = importer.load(importer.canonicalize('token:figma/Semantic')).contents
+      expect(semantic).toContain('$color-link: #0066cc;')
+      expect(semantic).toContain('$spacing-gap: 16px;')
+      expect(semantic).toContain('$layout-direction: row;')
+      expect(semantic).not.toContain('$color-blue')
+    })
+
+    it('skips malformed token files next to the export', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+      try {
+        fs.copyFileSync(path.join(FIGMA_DIR, 'variables.json'), path.join(dir, 'variables.json'))
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ "color": ')
+        const importer = sassTokenImporter(dir)
+        expect(importer.load(importer.canonicalize('token:figma/Primitives')).contents).toContain('$color-blue: #0066cc;')
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('loads every collection in its default mode from the export file', () => {
+      const importer = sassTokenImporter(FIGMA_DIR)
+      const contents = importer.load(importer.canonicalize('token:variables')).contents
+      expect(contents).toContain('$color-background: #ffffff;')
+      expect(contents).toContain('$font-weight-bold: 700;')
+    })
+  })
+
+  describe('file formats', () => {
+    const parseProperties = (source) => {
+      const data = {}
+      for (const line of source.split('\n').filter(Boolean)) {
+        const [key, value] = line.split('=')
+        const [group, name] = key.split('.')
+        data[group] = { ...data[group], [name]: { value, type: 'color' } }
+      }
+      return data
+    }
+
+    it('loads YAML token files', () => {
+      const importer = sassTokenImporter(FORMATS_DIR)
       const canonical = importer.canonicalize('token:colors')
+      expect(canonical.pathname).toBe(path.join(FORMATS_DIR, 'colors.yaml'))
+      expect(importer.load(canonical).contents).toContain('$color-primary: #0066cc;')
+    })
+
+    it('resolves aliases across formats', () => {
+      const importer = sassTokenImporter(FORMATS_DIR)
+      expect(importer.load(importer.canonicalize('token:semantic')).contents).toContain('$color-link: #0066cc;')
+    })
+
+    it('loads JSON5 and JSONC token files with comments and trailing commas', () => {
+      const importer = sassTokenImporter(FORMATS_DIR)
+      expect(importer.load(importer.canonicalize('token:spacing')).contents).toContain('$spacing-md: 16px;')
+      expect(importer.load(importer.canonicalize('token:radius')).contents).toContain('$radius-lg: 8px;')
+    })
+
+    it('accepts an explicit extension in the module name', () => {
+      const importer = sassTokenImporter(FORMATS_DIR)
+      expect(importer.canonicalize('token:colors.yaml').pathname).toBe(path.join(FORMATS_DIR, 'colors.yaml'))
+    })
+
+    it('tries extensions in the configured order', () => {
+      const importer = sassTokenImporter(FORMATS_DIR, { extensions: ['.json5', '.yaml'] })
+      expect(importer.canonicalize('token:spacing').pathname).toBe(path.join(FORMATS_DIR, 'spacing.json5'))
+      expect(importer.canonicalize('token:radius')).toBeNull()
+    })
+
+    it('uses custom parsers by extension', () => {
+      expect(sassTokenImporter(FORMATS_DIR).canonicalize('token:brand')).toBeNull()
+      const importer = sassTokenImporter(FORMATS_DIR, { parsers: { '.properties': parseProperties } })
+      const result = importer.load(importer.canonicalize('token:brand'))
+      expect(result.contents).toContain('$brand-accent: #ff6600;')
+    })
+
+    it('reports YAML syntax errors with a code frame', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:broken.yaml')
+      expect(() => importer.load(canonical)).toThrow(`Invalid YAML in ${path.join(INVALID_DIR, 'broken.yaml')} (3:1): All mapping items must start at the same column`)
+      expect(() => importer.load(canonical)).toThrow('> 3 |  primary:')
+    })
+
+    it('reports JSON5 syntax errors with line and column', () => {
+      const importer = sassTokenImporter(INVALID_DIR)
+      const canonical = importer.canonicalize('token:broken.json5')
+      expect(() => importer.load(canonical)).toThrow(`Invalid JSON5 in ${path.join(INVALID_DIR, 'broken.json5')} (3:25): invalid character ']'`)
+    })
+  })
+
+  describe('cache invalidation', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+      writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0066cc' } }, 1000)
+      writeTokens(dir, 'semantic', { primary: { $type: 'color', $value: '{blue}' } }, 1000)
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('reloads a file after it changes on disk', () => {
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:primitives')
       const first = importer.load(canonical)
+      writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0055aa' } }, 2000)
       const second = importer.load(canonical)
-      expect(first).toBe(second)
+      expect(first.contents).toContain('$blue: #0066cc;')
+      expect(second.contents).toContain('$blue: #0055aa;')
+    })
+
+    it('reloads modules that alias into a changed file', () => {
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:semantic')
+      expect(importer.load(canonical).contents).toContain('$primary: #0066cc;')
+      writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0055aa' } }, 2000)
+      expect(importer.load(canonical).contents).toContain('$primary: #0055aa;')
+    })
+
+    it('keeps modules cached when an unrelated token file changes', () => {
+      writeTokens(dir, 'spacing', { sm: { $type: 'dimension', $value: '4px' } }, 1000)
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:semantic')
+      const first = importer.load(canonical)
+      writeTokens(dir, 'spacing', { sm: { $type: 'dimension', $value: '8px' } }, 2000)
+      fs.utimesSync(dir, 2000, 2000)
+      expect(importer.load(canonical)).toBe(first)
+    })
+
+    it('picks up token files added to the index', () => {
+      writeTokens(dir, 'semantic', { primary: { $type: 'color', $value: '{brand}' } }, 1000)
+      fs.utimesSync(dir, 1000, 1000)
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:semantic')
+      expect(importer.load(canonical).contents).toContain('$primary: {brand};')
+      writeTokens(dir, 'brand', { brand: { $type: 'color', $value: '#ff6600' } }, 1000)
+      fs.utimesSync(dir, 2000, 2000)
+      expect(importer.load(canonical).contents).toContain('$primary: #ff6600;')
+    })
+
+    it('rebuilds dependents of an invalidated file with unchanged stamps', () => {
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:semantic')
+      const first = importer.load(canonical)
+      // Same size and modification time, so only an explicit invalidation notices
+      const file = writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0055aa' } }, 1000)
+      expect(importer.load(canonical)).toBe(first)
+      importer.invalidate(file)
+      expect(importer.load(canonical).contents).toContain('$primary: #0055aa;')
+    })
+
+    it('clears every cached module', () => {
+      const importer = sassTokenImporter(dir)
+      const canonical = importer.canonicalize('token:primitives')
+      const first = importer.load(canonical)
+      importer.clearCache()
+      const second = importer.load(canonical)
+      expect(second).not.toBe(first)
+      expect(second.contents).toBe(first.contents)
+    })
+
+    it('reloads themes when the manifest changes', () => {
+      fs.writeFileSync(path.join(dir, '$themes.json'), JSON.stringify([
+        { name: 'brand', selectedTokenSets: { primitives: 'enabled' } }
+      ]))
+      const importer = sassTokenImporter(dir)
+      expect(importer.load(importer.canonicalize('token:theme/brand')).contents).not.toContain('$primary')
+      const manifest = path.join(dir, '$themes.json')
+      fs.writeFileSync(manifest, JSON.stringify([
+        { name: 'brand', selectedTokenSets: { primitives: 'source', semantic: 'enabled' } }
+      ]))
+      fs.utimesSync(manifest, 2000, 2000)
+      const contents = importer.load(importer.canonicalize('token:theme/brand')).contents
+      expect(contents).toContain('$primary: #0066cc;')
+      expect(contents).not.toContain('$blue')
+    })
+  })
+})
+
+describe('sassTokenImporterAsync', () => {
+  it('generates the same SCSS as the sync importer', async () => {
+    const importer = sassTokenImporterAsync(CROSS_FILE_DIR)
+    const canonical = await importer.canonicalize('token:semantic/colors')
+    const result = await importer.load(canonical)
+    const sync = sassTokenImporter(CROSS_FILE_DIR)
+    expect(result).toEqual(sync.load(sync.canonicalize('token:semantic/colors')))
+  })
+
+  it('returns null for unknown modules', async () => {
+    const importer = sassTokenImporterAsync(DTCG_DIR)
+    await expect(importer.canonicalize('token:nonexistent')).resolves.toBeNull()
+  })
+
+  it('loads themes and resolver modules', async () => {
+    const themed = sassTokenImporterAsync(THEMES_DIR)
+    const theme = await themed.load(await themed.canonicalize('token:theme/dark'))
+    expect(theme.contents).toContain('$color-background: #000000;')
+    const resolved = sassTokenImporterAsync(RESOLVER_DIR, { resolver: RESOLVER_FILE })
+    const canonical = await resolved.canonicalize('token:resolver?theme=dark')
+    expect(canonical.href).toBe('token:resolver?density=comfortable&theme=dark')
+    expect((await resolved.load(canonical)).contents).toContain('$color-background: #000000;')
+  })
+
+  it('shares one load between concurrent requests for a module', async () => {
+    const importer = sassTokenImporterAsync(DTCG_DIR)
+    const canonical = await importer.canonicalize('token:colors')
+    const [first, second] = await Promise.all([importer.load(canonical), importer.load(canonical)])
+    expect(first).toBe(second)
+  })
+
+  it('shares one read between concurrent modules built from the same file', async () => {
+    const importer = sassTokenImporterAsync(DTCG_DIR)
+    const variables = await importer.canonicalize('token:colors')
+    const map = await importer.canonicalize('token:colors?output=map')
+    const readFile = fs.promises.readFile
+    const reads = []
+    fs.promises.readFile = (file, ...args) => {
+      reads.push(file)
+      return readFile(file, ...args)
+    }
+    try {
+      await Promise.all([importer.load(variables), importer.load(map)])
+    } finally {
+      fs.promises.readFile = readFile
+    }
+    expect(reads).toEqual([path.join(DTCG_DIR, 'colors.json')])
+  })
+
+  it('finishes loads while the cache is cleared between file reads', async () => {
+    const importer = sassTokenImporterAsync(THEMES_DIR)
+    const canonical = await importer.canonicalize('token:theme/dark')
+    let done = false
+    const result = importer.load(canonical).finally(() => { done = true })
+    while (!done) {
+      importer.clearCache()
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+    expect((await result).contents).toContain('$color-background: #000000;')
+  })
+
+  it('rejects with JSON parse errors', async () => {
+    const importer = sassTokenImporterAsync(INVALID_DIR)
+    const canonical = await importer.canonicalize('token:malformed')
+    await expect(importer.load(canonical)).rejects.toThrow(`Invalid JSON in ${path.join(INVALID_DIR, 'malformed.json')}`)
+  })
+
+  it('compiles with sass.compileStringAsync', async () => {
+    const scss = '@use "token:colors";\n.test { color: colors.$color-primary; }'
+    const result = await sass.compileStringAsync(scss, {
+      importers: [sassTokenImporterAsync(DTCG_DIR)]
+    })
+    expect(result.css).toContain('color: #0066cc')
+  })
+})
+
+describe('sassTokenLegacyImporter', () => {
+  const legacyOptions = { silenceDeprecations: ['legacy-js-api'] }
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+    fs.mkdirSync(path.join(dir, 'styles', 'tokens'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'styles', 'tokens', 'brand.json'), JSON.stringify({
+      brand: { $type: 'color', primary: { $value: '#663399' } }
+    }))
+    fs.writeFileSync(path.join(dir, 'styles', 'main.scss'), '@use "token:tokens/brand";\n.a { color: brand.$brand-primary; }\n')
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('returns the contents generated by the modern importer', () => {
+    const importer = sassTokenLegacyImporter(CROSS_FILE_DIR)
+    const modern = sassTokenImporter(CROSS_FILE_DIR)
+    expect(importer('token:semantic/colors', 'stdin')).toEqual({
+      contents: modern.load(modern.canonicalize('token:semantic/colors')).contents
+    })
+    expect(importer('token:semantic/colors?output=map', 'stdin').contents).toContain('$color: (')
+  })
+
+  it('returns null for unknown modules', () => {
+    expect(sassTokenLegacyImporter(DTCG_DIR)('token:nonexistent', 'stdin')).toBeNull()
+  })
+
+  it('resolves token URLs from the importing stylesheet first', () => {
+    const importer = sassTokenLegacyImporter(DTCG_DIR)
+    expect(importer('token:tokens/brand', path.join(dir, 'styles', 'main.scss')).contents).toContain('$brand-primary: #663399;')
+    expect(importer('token:tokens/brand', 'stdin')).toBeNull()
+    fs.writeFileSync(path.join(dir, 'styles', 'colors.json'), JSON.stringify({ color: { primary: { $type: 'color', $value: '#000000' } } }))
+    expect(importer('token:colors', path.join(dir, 'styles', 'main.scss')).contents).toContain('$color-primary: #000000;')
+    expect(importer('token:colors', path.join(dir, 'main.scss')).contents).toContain('$color-primary: #0066cc;')
+  })
+
+  it('leaves imports without the token: prefix to Sass', () => {
+    fs.writeFileSync(path.join(dir, 'styles', 'config.json'), JSON.stringify({ gap: { $type: 'dimension', $value: '8px' } }))
+    fs.writeFileSync(path.join(dir, 'styles', '_config.scss'), '$gap: 4px;\n')
+    fs.writeFileSync(path.join(dir, 'styles', 'layout.scss'), '@use "config";\n.a { gap: config.$gap; }\n')
+    const importer = sassTokenLegacyImporter(path.join(dir, 'styles'))
+    expect(importer('config', path.join(dir, 'styles', 'layout.scss'))).toBeNull()
+    const result = sass.renderSync({ ...legacyOptions, file: path.join(dir, 'styles', 'layout.scss'), importer })
+    expect(result.css.toString()).toContain('gap: 4px')
+  })
+
+  it('returns errors instead of throwing', () => {
+    const result = sassTokenLegacyImporter(INVALID_DIR)('token:malformed', 'stdin')
+    expect(result).toBeInstanceOf(Error)
+    expect(result.message).toContain(`Invalid JSON in ${path.join(INVALID_DIR, 'malformed.json')}`)
+  })
+
+  it('exposes invalidate and clearCache', () => {
+    const importer = sassTokenLegacyImporter(dir)
+    const file = path.join(dir, 'styles', 'tokens', 'brand.json')
+    expect(importer('token:styles/tokens/brand', 'stdin').contents).toContain('#663399')
+    fs.writeFileSync(file, JSON.stringify({ brand: { $type: 'color', primary: { $value: '#ff0000' } } }))
+    importer.invalidate(file)
+    expect(importer('token:styles/tokens/brand', 'stdin').contents).toContain('#ff0000')
+    expect(typeof importer.clearCache).toBe('function')
+  })
+
+  it('compiles with sass.renderSync', () => {
+    const result = sass.renderSync({
+      ...legacyOptions,
+      file: path.join(dir, 'styles', 'main.scss'),
+      importer: sassTokenLegacyImporter(DTCG_DIR)
+    })
+    expect(result.css.toString()).toContain('color: #663399')
+  })
+
+  it('compiles with sass.render', async () => {
+    const css = await new Promise((resolve, reject) => {
+      sass.render({
+        ...legacyOptions,
+        data: '@use "token:colors";\n.a { color: colors.$color-primary; }',
+        importer: sassTokenLegacyImporter(DTCG_DIR)
+      }, (error, result) => error ? reject(error) : resolve(result.css.toString()))
+    })
+    expect(css).toContain('color: #0066cc')
+  })
+
+  it('reports token errors through sass.renderSync', () => {
+    expect(() => sass.renderSync({
+      ...legacyOptions,
+      data: '@use "token:malformed";',
+      importer: sassTokenLegacyImporter(INVALID_DIR)
+    })).toThrow('Invalid JSON')
+  })
+})
+
+describe('bundler integrations', () => {
+  const entry = '@use "token:semantic/colors";\n.a { color: colors.$color-primary; }'
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+    writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0066cc' } }, 1000)
+    writeTokens(dir, 'semantic', { primary: { $type: 'color', $value: '{blue}' } }, 1000)
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('sassTokenVitePlugin', () => {
+    function transform(plugin, id) {
+      const watched = []
+      plugin.transform.call({ addWatchFile: (file) => watched.push(file) }, '', id)
+      return watched
+    }
+
+    it('registers the importer for scss and sass stylesheets', async () => {
+      const { css } = sassTokenVitePlugin(CROSS_FILE_DIR).config()
+      expect(css.preprocessorOptions.sass.importers).toEqual(css.preprocessorOptions.scss.importers)
+      const result = await sass.compileStringAsync(entry, { importers: css.preprocessorOptions.scss.importers })
+      expect(result.css).toContain('color: #0066cc')
+    })
+
+    it('adds the token files each stylesheet loaded as its watched dependencies', async () => {
+      const plugin = sassTokenVitePlugin(CROSS_FILE_DIR)
+      const importers = plugin.config().css.preprocessorOptions.scss.importers
+      expect(transform(plugin, '/src/main.scss')).toEqual([])
+      await sass.compileStringAsync(entry, { importers, url: pathToFileURL('/src/main.scss') })
+      await sass.compileStringAsync('@use "token:primitives";', { importers, url: pathToFileURL('/src/App.vue') })
+      const primitives = path.join(CROSS_FILE_DIR, 'primitives.json')
+      const colors = path.join(CROSS_FILE_DIR, 'semantic', 'colors.json')
+      expect(transform(plugin, '/src/main.scss').sort()).toEqual([colors, primitives].sort())
+      expect(transform(plugin, '/src/App.vue?vue&type=style&index=0&lang.scss')).toEqual([primitives])
+      expect(transform(plugin, '/src/other.scss')).toEqual([])
+      expect(transform(plugin, '/src/main.css')).toEqual([])
+      expect(transform(plugin, '/src/main.js')).toEqual([])
+    })
+
+    it('rebuilds modules when a token file changes', async () => {
+      const plugin = sassTokenVitePlugin(dir)
+      const importers = plugin.config().css.preprocessorOptions.scss.importers
+      const scss = '@use "token:semantic";\n.a { color: semantic.$primary; }'
+      const url = pathToFileURL('/src/main.scss')
+      expect((await sass.compileStringAsync(scss, { importers, url })).css).toContain('color: #0066cc')
+      // Same modification time, so only invalidation picks up the change
+      const file = writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0055aa' } }, 1000)
+      plugin.watchChange(file, { event: 'update' })
+      expect((await sass.compileStringAsync(scss, { importers, url })).css).toContain('color: #0055aa')
+    })
+
+    function devServer(plugin, modules) {
+      const reloaded = []
+      plugin.configureServer({
+        watcher: { add() {} },
+        moduleGraph: { getModulesByFile: (file) => modules[file] && new Set([modules[file]]) },
+        reloadModule: (module) => reloaded.push(module)
+      })
+      return reloaded
+    }
+
+    it('reloads partials using a changed token file in the dev server', async () => {
+      const plugin = sassTokenVitePlugin(dir)
+      const importers = plugin.config().css.preprocessorOptions.scss.importers
+      const partial = { id: '/src/_theme.scss' }
+      const reloaded = devServer(plugin, { '/src/_theme.scss': partial, '/src/main.scss': { id: '/src/main.scss' } })
+      await sass.compileStringAsync('@use "token:semantic";', { importers, url: pathToFileURL('/src/_theme.scss') })
+      await sass.compileStringAsync('@use "token:primitives";', { importers, url: pathToFileURL('/src/main.scss') })
+      expect(transform(plugin, '/src/main.scss')).toEqual([path.join(dir, 'primitives.json')])
+
+      plugin.watchChange(path.join(dir, 'semantic.json'), { event: 'update' })
+      expect(reloaded).toEqual([partial])
+      // The stylesheet watches primitives.json itself, Vite reloads it
+      plugin.watchChange(path.join(dir, 'primitives.json'), { event: 'update' })
+      expect(reloaded).toEqual([partial, partial])
+    })
+
+    it('registers token files used by partials at the end of a build', async () => {
+      const plugin = sassTokenVitePlugin(dir)
+      const importers = plugin.config().css.preprocessorOptions.scss.importers
+      await sass.compileStringAsync('@use "token:primitives";', { importers, url: pathToFileURL('/src/_theme.scss') })
+      await sass.compileStringAsync('@use "token:semantic";', { importers, url: pathToFileURL('/src/main.scss') })
+      expect(transform(plugin, '/src/main.scss').sort()).toEqual([path.join(dir, 'primitives.json'), path.join(dir, 'semantic.json')])
+      const watched = []
+      plugin.buildEnd.call({ addWatchFile: (file) => watched.push(file) })
+      expect(watched).toEqual([path.join(dir, 'primitives.json')])
     })
+
+    it('builds a Vite project with token modules', () => {
+      // Vite runs in its own process, its bundler doesn't accept plugins created in the test context
+      const vite = path.join(__dirname, '..', 'node_modules', 'vite', 'bin', 'vite.js')
+      const result = spawnSync(process.execPath, [vite, 'build', VITE_PROJECT_DIR, '--outDir', dir], { encoding: 'utf8', timeout: 60000 })
+      expect(result.status).toBe(0)
+      const assets = fs.readdirSync(path.join(dir, 'assets'))
+      const stylesheet = assets.find((file) => file.endsWith('.css'))
+      expect(fs.readFileSync(path.join(dir, 'assets', stylesheet), 'utf8')).toContain('.button{color:#06c;padding:4px}')
+      // The stylesheet using a partial gets nothing itself, the partial's token files are registered at the end
+      expect(JSON.parse(result.stdout)).toEqual({ 'style.scss': ['tokens/colors.json'], buildEnd: ['tokens/spacing.json'] })
+    })
+
+    it('reloads dependent stylesheets when a token file is added or removed', async () => {
+      const plugin = sassTokenVitePlugin(dir)
+      const importers = plugin.config().css.preprocessorOptions.scss.importers
+      const scss = '@use "token:semantic";\n.a { color: semantic.$primary; }'
+      const url = pathToFileURL('/src/main.scss')
+      const stylesheet = { id: '/src/main.scss' }
+      const reloaded = devServer(plugin, { '/src/main.scss': stylesheet })
+      await sass.compileStringAsync(scss, { importers, url })
+
+      plugin.watchChange(path.join(dir, 'notes.txt'), { event: 'create' })
+      expect(reloaded).toEqual([])
+      const added = writeTokens(dir, 'brand', { blue: { $type: 'color', $value: '#123456' } }, 1000)
+      plugin.watchChange(added, { event: 'create' })
+      expect(reloaded).toEqual([stylesheet])
+      expect((await sass.compileStringAsync(scss, { importers, url })).css).toContain('color: #123456')
+    })
+  })
+
+  describe('sassTokenLoaderOptions', () => {
+    function loaderContext() {
+      return {
+        dependencies: new Set(),
+        contextDependencies: new Set(),
+        addDependency(file) { this.dependencies.add(file) },
+        addContextDependency(dir) { this.contextDependencies.add(dir) }
+      }
+    }
+
+    it('adds loaded token files as dependencies of each stylesheet', async () => {
+      const options = sassTokenLoaderOptions(CROSS_FILE_DIR)
+      const context = loaderContext()
+      const result = await sass.compileStringAsync(entry, options.sassOptions(context))
+      expect(result.css).toContain('color: #0066cc')
+      expect([...context.dependencies].sort()).toEqual([
+        path.join(CROSS_FILE_DIR, 'primitives.json'),
+        path.join(CROSS_FILE_DIR, 'semantic', 'colors.json')
+      ])
+      expect([...context.contextDependencies]).toEqual([CROSS_FILE_DIR])
+
+      const other = loaderContext()
+      await sass.compileStringAsync('.a { color: red; }', options.sassOptions(other))
+      expect(other.dependencies.size).toBe(0)
+      expect(other.contextDependencies.size).toBe(0)
+    })
+
+    it('shares the cache between stylesheets and rebuilds changed tokens', async () => {
+      const options = sassTokenLoaderOptions(dir)
+      const scss = '@use "token:semantic";\n.a { color: semantic.$primary; }'
+      const first = loaderContext()
+      expect((await sass.compileStringAsync(scss, options.sassOptions(first))).css).toContain('color: #0066cc')
+      const second = loaderContext()
+      await sass.compileStringAsync(scss, options.sassOptions(second))
+      expect([...second.dependencies]).toEqual([...first.dependencies])
+      writeTokens(dir, 'primitives', { blue: { $type: 'color', $value: '#0055aa' } }, 2000)
+      expect((await sass.compileStringAsync(scss, options.sassOptions(loaderContext()))).css).toContain('color: #0055aa')
+    })
+  })
+})
+
+describe('buildTokenPartials', () => {
+  it('generates a partial for every token file', () => {
+    const partials = buildTokenPartials(CROSS_FILE_DIR, { output: 'map' })
+    expect(partials.map((partial) => partial.file)).toEqual(['_primitives.scss', path.join('semantic', '_colors.scss')])
+    expect(partials[1].source).toBe(path.join(CROSS_FILE_DIR, 'semantic', 'colors.json'))
+    expect(partials[1].contents).toBe(
+      '// Generated by sass-token-importer from semantic/colors.json, do not edit.\n' +
+      '$color: (\n  primary: #0066cc,\n  danger: #cc0000,\n  action: #0066cc,\n);\n'
+    )
+  })
+
+  it('matches the output of the importer', () => {
+    const importer = sassTokenImporter(DTCG_DIR, { prefix: 'ds' })
+    const partial = buildTokenPartials(DTCG_DIR, { prefix: 'ds' }).find((p) => p.file === '_colors.scss')
+    expect(partial.contents).toBe(
+      '// Generated by sass-token-importer from colors.json, do not edit.\n' +
+      importer.load(importer.canonicalize('token:colors')).contents
+    )
+  })
+
+  it('builds a name found in several directories from the first', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+    try {
+      fs.writeFileSync(path.join(dir, 'primitives.json'), JSON.stringify({ blue: { $type: 'color', $value: '#000000' } }))
+      const partials = buildTokenPartials([dir, CROSS_FILE_DIR])
+      expect(partials.map((partial) => partial.file)).toEqual(['_primitives.scss', path.join('semantic', '_colors.scss')])
+      expect(partials[0].contents).toContain('$blue: #000000;')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('throws when token files of one directory generate the same partial', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+    try {
+      fs.writeFileSync(path.join(dir, 'colors.json'), JSON.stringify({ blue: { $type: 'color', $value: '#0066cc' } }))
+      fs.writeFileSync(path.join(dir, 'colors.yaml'), 'red:\n  $type: color\n  $value: "#cc0000"\n')
+      expect(() => buildTokenPartials(dir)).toThrow(/Token files colors\.(json|yaml) and colors\.(json|yaml) in .+ both generate _colors\.scss/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('throws token errors', () => {
+    expect(() => buildTokenPartials(INVALID_DIR)).toThrow()
+  })
+})
+
+describe('CLI', () => {
+  let dir
+
+  function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 })
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr }
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-token-importer-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('writes partials to the output directory', () => {
+    const out = path.join(dir, 'out')
+    const result = run('build', CROSS_FILE_DIR, '--out', out, '--output', 'map', '--prefix', 'ds')
+    expect(result.status).toBe(0)
+    expect(result.stdout).toContain(`Wrote ${path.join(out, 'semantic', '_colors.scss')}`)
+    const contents = fs.readFileSync(path.join(out, 'semantic', '_colors.scss'), 'utf8')
+    expect(contents).toContain('$ds-color: (')
+    const compiled = sass.compileString('@use "sass:map";\n@use "semantic/colors";\n.a { color: map.get(colors.$ds-color, primary); }', { loadPaths: [out] })
+    expect(compiled.css).toContain('color: #0066cc')
+  })
+
+  it('checks that the partials are up to date', () => {
+    const out = path.join(dir, 'out')
+    expect(run('build', CROSS_FILE_DIR, '-o', out).status).toBe(0)
+    const upToDate = run('build', CROSS_FILE_DIR, '-o', out, '--check')
+    expect(upToDate.status).toBe(0)
+    expect(upToDate.stdout).toContain('is up to date')
+
+    const changed = run('build', CROSS_FILE_DIR, '-o', out, '--check', '--output', 'map')
+    expect(changed.status).toBe(1)
+    expect(changed.stderr).toContain(`Out of date: ${path.join(out, '_primitives.scss')}`)
+  })
+
+  it('reports and removes partials without a token file', () => {
+    const out = path.join(dir, 'out')
+    fs.mkdirSync(out)
+    fs.writeFileSync(path.join(out, '_removed.scss'), '// Generated by sass-token-importer from removed.json, do not edit.\n')
+    fs.writeFileSync(path.join(out, '_custom.scss'), '$custom: 1;\n')
+    expect(run('build', CROSS_FILE_DIR, '-o', out).status).toBe(0)
+    fs.writeFileSync(path.join(out, '_removed.scss'), '// Generated by sass-token-importer from removed.json, do not edit.\n')
+    const checked = run('build', CROSS_FILE_DIR, '-o', out, '--check')
+    expect(checked.status).toBe(1)
+    expect(checked.stderr).toContain(`Stale: ${path.join(out, '_removed.scss')}`)
+    expect(run('build', CROSS_FILE_DIR, '-o', out).stdout).toContain(`Removed ${path.join(out, '_removed.scss')}`)
+    expect(fs.existsSync(path.join(out, '_removed.scss'))).toBe(false)
+    expect(fs.existsSync(path.join(out, '_custom.scss'))).toBe(true)
+  })
+
+  it('fails on invalid tokens and arguments', () => {
+    const invalid = run('build', INVALID_DIR, '-o', path.join(dir, 'out'))
+    expect(invalid.status).toBe(1)
+    expect(invalid.stderr).toContain('is empty')
+    expect(run('build', CROSS_FILE_DIR).stderr).toContain('Missing --out directory')
+    expect(run('compile', CROSS_FILE_DIR, '-o', dir).stderr).toContain('Unknown command "compile"')
+    expect(run('build', CROSS_FILE_DIR, '-o', dir, '--output', 'json').stderr).toContain('Invalid --output "json"')
+    expect(run('build', CROSS_FILE_DIR, '-o', dir, '--rem-base', 'large').stderr).toContain('Invalid --rem-base "large", expected a number')
+    expect(run('build', CROSS_FILE_DIR, '-o', dir, '--precision', '').stderr).toContain('Invalid --precision "", expected a number')
+    expect(run('build', CROSS_FILE_DIR, '-o', dir, '--watch', '--check').status).toBe(1)
   })
 })
 
@@ -537,6 +2655,198 @@ describe('Integration with Dart Sass', () => {
     expect(result.css).toContain('padding: 8px 16px')
   })
 
+  it('compiles SCSS with token custom properties', () => {
+    const scss = '@use "token:aliases";\n.test { color: var(--ds-color-primary); }'
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(DTCG_DIR, { output: 'css', prefix: 'ds' })]
+    })
+    expect(result.css).toContain(':root {')
+    expect(result.css).toContain('--ds-color-primary: var(--ds-color-base-blue);')
+    expect(result.css).toContain('color: var(--ds-color-primary)')
+  })
+
+  it('serves different output modes from one importer', () => {
+    const scss = [
+      '@use "sass:map";',
+      '@use "token:colors" as v;',
+      '@use "token:colors?output=map&prefix=c" as m;',
+      '.a { color: v.$color-primary; }',
+      '.b { color: map.get(m.$c-color, secondary); }'
+    ].join('\n')
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(DTCG_DIR)]
+    })
+    expect(result.css).toContain('color: #0066cc')
+    expect(result.css).toContain('color: #ff6600')
+  })
+
+  describe('configuration', () => {
+    it('configures !default variables with @use ... with()', () => {
+      const result = sass.compileString('@use "token:colors" as c with ($color-primary: red);\n.a { color: c.$color-primary; background: c.$color-secondary; }', {
+        importers: [sassTokenImporter(DTCG_DIR, { default: true })]
+      })
+      expect(result.css).toContain('color: red')
+      expect(result.css).toContain('background: #ff6600')
+    })
+
+    it('configures modules through @forward ... with()', () => {
+      const importer = sassTokenImporter(DTCG_DIR, { default: true })
+      const result = sass.compileString('@use "brand";\n.a { color: brand.$color-primary; }', {
+        importers: [importer, {
+          canonicalize: (url) => url === 'brand' ? new URL('brand:brand') : null,
+          load: () => ({ contents: '@forward "token:colors" with ($color-primary: purple !default);', syntax: 'scss' })
+        }]
+      })
+      expect(result.css).toContain('color: purple')
+    })
+
+    it('deep-merges configured maps so single tokens can be overridden', () => {
+      const scss = [
+        '@use "sass:map";',
+        '@use "token:colors?output=map&default=true&accessor=true" as c with ($color: (primary: red));',
+        '.a { color: map.get(c.$color, primary); background: c.token("color.secondary"); border-color: c.token("color.primary"); }'
+      ].join('\n')
+      const result = sass.compileString(scss, { importers: [sassTokenImporter(DTCG_DIR)] })
+      expect(result.css).toContain('color: red')
+      expect(result.css).toContain('background: #ff6600')
+      expect(result.css).toContain('border-color: red')
+    })
+
+    it('rejects configured maps that are not maps', () => {
+      expect(() => sass.compileString('@use "token:colors?output=map&default=true" as c with ($color: red);', {
+        importers: [sassTokenImporter(DTCG_DIR)]
+      })).toThrow('$color must be configured with a map of tokens, got red')
+    })
+
+    it('rejects configuration without the default option', () => {
+      expect(() => sass.compileString('@use "token:colors" with ($color-primary: red);', {
+        importers: [sassTokenImporter(DTCG_DIR)]
+      })).toThrow('This variable was not declared with !default')
+    })
+  })
+
+  describe('token() accessor', () => {
+    const compileAccessor = (scss) => sass.compileString(scss, {
+      importers: [sassTokenImporter(DTCG_DIR, { output: 'map', accessor: true })]
+    })
+
+    it('looks up tokens by dot-path', () => {
+      const result = compileAccessor([
+        '@use "token:colors" as c;',
+        '@use "token:typography" as t;',
+        '.a { color: c.token("color.primary"); font-size: t.token("typography.heading.h1.font-size"); }'
+      ].join('\n'))
+      expect(result.css).toContain('color: #0066cc')
+      expect(result.css).toContain('font-size: 32px')
+    })
+
+    it('suggests the closest key for typos', () => {
+      expect(() => compileAccessor('@use "token:colors" as c;\n.a { color: c.token("color.primry"); }'))
+        .toThrow('Unknown token "color.primry". Did you mean "color.primary"?')
+    })
+
+    it('lists available keys when nothing is close', () => {
+      expect(() => compileAccessor('@use "token:spacing" as s;\n.a { margin: s.token("spacing.gutter"); }'))
+        .toThrow('Available keys: xs, sm, md, lg, xl')
+    })
+
+    it('reports paths that go past a token value', () => {
+      expect(() => compileAccessor('@use "token:colors" as c;\n.a { color: c.token("color.primary.dark"); }'))
+        .toThrow('"color.primary" is a token value, not a group.')
+    })
+
+    it('warns when deprecated tokens are used', () => {
+      const warnings = []
+      const result = sass.compileString([
+        '@use "token:colors?output=map&accessor=true&mixins=true" as c;',
+        '.a { color: c.token("color.accent"); background: c.token("color.legacy.gray"); border-color: c.token("color.legacy.black"); }',
+        '.b { color: c.token("color.primary"); @include c.shadow-card; }'
+      ].join('\n'), {
+        importers: [sassTokenImporter(METADATA_DIR)],
+        logger: { warn: (message) => warnings.push(message) }
+      })
+      expect(result.css).toContain('color: #ff6600')
+      expect(warnings).toEqual([
+        'Token "color.accent" is deprecated. Use color.primary instead.',
+        'Token "color.legacy.gray" is deprecated.',
+        'Token "shadow.card" is deprecated. Use elevation tokens.'
+      ])
+    })
+
+    it('can be enabled per import', () => {
+      const result = sass.compileString('@use "token:colors?output=map&accessor=true" as c;\n.a { color: c.token("color.secondary"); }', {
+        importers: [sassTokenImporter(DTCG_DIR)]
+      })
+      expect(result.css).toContain('color: #ff6600')
+    })
+  })
+
+  it('includes composite token mixins', () => {
+    const scss = [
+      '@use "token:typography" as t;',
+      '@use "token:shadows?mixins=true" as s;',
+      '.heading { @include t.typography-heading-h1; }',
+      '.box { @include s.border-thin; @include s.shadow-sm; }'
+    ].join('\n')
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(DTCG_DIR, { mixins: true })]
+    })
+    expect(result.css).toContain('font-family: "Helvetica", "Arial", sans-serif;')
+    expect(result.css).toContain('font-weight: 700;')
+    expect(result.css).toContain('line-height: 1.2;')
+    expect(result.css).toContain('border: 1px solid #cccccc;')
+    expect(result.css).toContain('box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2);')
+  })
+
+  it('compiles gradient, transition, strokeStyle and layered shadow tokens', () => {
+    const scss = [
+      '@use "sass:map";',
+      '@use "token:composites" as t;',
+      '.a {',
+      '  background: linear-gradient(to right, t.$gradient-brand);',
+      '  transition-duration: map.get(t.$transition-emphasis, duration);',
+      '  border-style: t.$stroke-solid;',
+      '  box-shadow: t.$shadow-layered;',
+      '}'
+    ].join('\n')
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(DTCG_DIR)]
+    })
+    expect(result.css).toContain('background: linear-gradient(to right, #0066cc 0%, #ff6600 100%);')
+    expect(result.css).toContain('transition-duration: 200ms;')
+    expect(result.css).toContain('border-style: solid;')
+    expect(result.css).toContain('box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2), inset 0px 0px 1px 0px #ffffff;')
+  })
+
+  it('reports invalid tokens through the Sass logger in warn mode', () => {
+    const warnings = []
+    const result = sass.compileString('@use "token:broken" as t;\n.a { color: t.$color-primary; }', {
+      importers: [sassTokenImporter(STRICT_DIR, { strict: 'warn' })],
+      logger: { warn(message) { warnings.push(message) } }
+    })
+    expect(result.css).toContain('color: #0066cc')
+    expect(warnings).toHaveLength(3)
+    expect(warnings[0]).toBe(`${path.join(STRICT_DIR, 'broken.json')}: color.link: unresolved reference {color.missing}`)
+  })
+
+  it('compiles stylesheets using invalid tokens in warn mode', () => {
+    const warnings = []
+    const result = sass.compileString('@use "token:broken" as t;\n.a { margin: t.$spacing-sm; color: t.$color-link; }', {
+      importers: [sassTokenImporter(STRICT_DIR, { strict: 'warn' })],
+      logger: { warn(message) { warnings.push(message) } }
+    })
+    expect(result.css).toContain('margin: 8;')
+    expect(result.css).toContain('color: "{color.missing}";')
+    expect(warnings).toHaveLength(3)
+  })
+
+
+  it('fails the compilation in strict mode', () => {
+    expect(() => sass.compileString('@use "token:broken?strict=true";', {
+      importers: [sassTokenImporter(STRICT_DIR)]
+    })).toThrow('spacing.sm: invalid dimension "8"')
+  })
+
   it('compiles with compileString', () => {
     const scss = '@use "token:colors" as c;\n.test { color: c.$color-primary; }'
     const result = sass.compileString(scss, {
@@ -594,6 +2904,37 @@ describe('Integration with Dart Sass', () => {
     expect(result.css).toContain('color: #0066cc')
   })
 
+  it('compiles semantic tokens that alias primitives in another file', () => {
+    const scss = '@use "token:semantic/colors" as c;\n.test { color: c.$color-action; }'
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(CROSS_FILE_DIR)]
+    })
+    expect(result.css).toContain('color: #0066cc')
+  })
+
+  it('compiles themed tokens', () => {
+    const scss = [
+      '@use "token:theme/light" as light;',
+      '@use "token:theme/dark" as dark;',
+      '.light { color: light.$color-text; }',
+      '.dark { color: dark.$color-text; }'
+    ].join('\n')
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(THEMES_DIR)]
+    })
+    expect(result.css).toContain('color: #333333')
+    expect(result.css).toContain('color: #ffffff')
+  })
+
+  it('compiles resolver modules', () => {
+    const scss = '@use "token:resolver?theme=dark" as t;\n.test { background: t.$color-background; gap: t.$spacing-gap; }'
+    const result = sass.compileString(scss, {
+      importers: [sassTokenImporter(RESOLVER_DIR, { resolver: RESOLVER_FILE })]
+    })
+    expect(result.css).toContain('background: #000000')
+    expect(result.css).toContain('gap: 16px')
+  })
+
   it('throws on non-existent token import', () => {
     const scss = '@use "token:nonexistent";'
     expect(() => {
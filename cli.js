@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { buildTokenPartials } from './sass-token-importer.js'
+
+const OUTPUT_MODES = ['variables', 'map', 'css']
+const GENERATED_HEADER = '// Generated by sass-token-importer'
+const WATCH_DELAY = 100
+
+const USAGE = `Usage: sass-token-importer build <tokenDir...> --out <dir> [options]
+
+Precompile token files into static .scss partials, e.g. colors.json to _colors.scss.
+
+Options:
+  -o, --out <dir>          Directory the partials are written to (required)
+      --output <mode>      variables, map or css (default: variables)
+      --prefix <prefix>    Prefix for generated names
+      --separator <sep>    Joins the prefix and path segments (default: -)
+      --selector <sel>     Selector for css output (default: :root)
+      --include <filter>   Only emit matching tokens, repeatable
+      --exclude <filter>   Leave out matching tokens, repeatable
+      --accessor           Generate a token($path) function in map output
+      --mixins             Generate a mixin per composite token
+      --default            Flag variables and maps !default
+      --strict <level>     Validate tokens, error or warn
+      --color-format <f>   hex, rgb, hsl, oklch or preserve
+      --color-fallback     Emit sRGB fallbacks in css output
+      --rem-base <px>      Root font size for rem and px transforms
+      --precision <n>      Round numeric values to n decimals
+  -w, --watch              Rebuild when token files change
+      --check              Exit with an error when the partials are out of date
+  -h, --help               Show this help`
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  output: { type: 'string' },
+  prefix: { type: 'string' },
+  separator: { type: 'string' },
+  selector: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  accessor: { type: 'boolean' },
+  mixins: { type: 'boolean' },
+  default: { type: 'boolean' },
+  strict: { type: 'string' },
+  'color-format': { type: 'string' },
+  'color-fallback': { type: 'boolean' },
+  'rem-base': { type: 'string' },
+  precision: { type: 'string' },
+  watch: { type: 'boolean', short: 'w' },
+  check: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+/**
+ * Parse the command line
+ * @param {string[]} args
+ * @returns {{ command: string, tokenDirs: string[], values: object }}
+ */
+function parseCommandLine(args) {
+  const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+  const [command, ...tokenDirs] = positionals
+  return { command, tokenDirs, values }
+}
+
+/**
+ * Read a numeric command line option
+ * @param {object} values - Parsed options
+ * @param {string} name - Option name without dashes
+ * @returns {number | undefined}
+ */
+function numberOption(values, name) {
+  const value = values[name]
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new Error(`Invalid --${name} "${value}", expected a number`)
+  }
+  return number
+}
+
+/**
+ * Convert the command line options to importer options
+ * @param {object} values - Parsed options
+ * @returns {object}
+ */
+function importerOptions(values) {
+  if (values.output !== undefined && !OUTPUT_MODES.includes(values.output)) {
+    throw new Error(`Invalid --output "${values.output}", expected one of: ${OUTPUT_MODES.join(', ')}`)
+  }
+  if (values.strict !== undefined && values.strict !== 'error' && values.strict !== 'warn') {
+    throw new Error(`Invalid --strict "${values.strict}", expected error or warn`)
+  }
+  return {
+    output: values.output,
+    prefix: values.prefix,
+    separator: values.separator,
+    selector: values.selector,
+    include: values.include,
+    exclude: values.exclude,
+    accessor: values.accessor,
+    mixins: values.mixins,
+    default: values.default,
+    strict: values.strict,
+    colorFormat: values['color-format'],
+    colorFallback: values['color-fallback'],
+    remBase: numberOption(values, 'rem-base'),
+    precision: numberOption(values, 'precision')
+  }
+}
+
+/**
+ * List the files below a directory, `fs.readdirSync` only lists recursively since Node 18.17
+ * @param {string} dir
+ * @param {string} [prefix] - Path of `dir` relative to the listed directory
+ * @returns {string[]} Paths relative to the listed directory
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(prefix, entry.name)
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), file) : [file]
+  })
+}
+
+/**
+ * Find partials a previous build generated, so ones without a token file anymore can be removed
+ * @param {string} dir
+ * @returns {string[]} Paths relative to `dir`
+ */
+function findGeneratedPartials(dir) {
+  if (!fs.existsSync(dir)) return []
+  return listFiles(dir)
+    .filter((file) => /(?:^|[\\/])_[^\\/]+\.scss$/.test(file))
+    .filter((file) => fs.readFileSync(path.join(dir, file), 'utf8').startsWith(GENERATED_HEADER))
+}
+
+/**
+ * Compare the partials with the output directory
+ * @param {Array<{ file: string, contents: string }>} partials
+ * @param {string} outDir
+ * @returns {{ changed: Array<{ file: string, contents: string }>, stale: string[] }}
+ */
+function diffPartials(partials, outDir) {
+  const changed = partials.filter((partial) => {
+    const target = path.join(outDir, partial.file)
+    return !fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== partial.contents
+  })
+  const files = new Set(partials.map((partial) => partial.file))
+  const stale = findGeneratedPartials(outDir).filter((file) => !files.has(file))
+  return { changed, stale }
+}
+
+/**
+ * Write changed partials and remove stale ones
+ * @param {string[]} tokenDirs
+ * @param {string} outDir
+ * @param {object} options - Importer options
+ */
+function build(tokenDirs, outDir, options) {
+  const { changed, stale } = diffPartials(buildTokenPartials(tokenDirs, options), outDir)
+  for (const partial of changed) {
+    const target = path.join(outDir, partial.file)
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.writeFileSync(target, partial.contents)
+    console.log(`Wrote ${target}`)
+  }
+  for (const file of stale) {
+    fs.rmSync(path.join(outDir, file))
+    console.log(`Removed ${path.join(outDir, file)}`)
+  }
+  if (changed.length === 0 && stale.length === 0) console.log(`${outDir} is up to date`)
+}
+
+/**
+ * Check that the output directory matches the token files
+ * @param {string[]} tokenDirs
+ * @param {string} outDir
+ * @param {object} options - Importer options
+ * @returns {boolean}
+ */
+function check(tokenDirs, outDir, options) {
+  const { changed, stale } = diffPartials(buildTokenPartials(tokenDirs, options), outDir)
+  for (const partial of changed) console.error(`Out of date: ${path.join(outDir, partial.file)}`)
+  for (const file of stale) console.error(`Stale: ${path.join(outDir, file)}`)
+  if (changed.length > 0 || stale.length > 0) {
+    console.error('Run sass-token-importer build without --check to update the partials')
+    return false
+  }
+  console.log(`${outDir} is up to date`)
+  return true
+}
+
+/**
+ * Rebuild whenever a file in the token directories changes, until the process is stopped
+ * @param {string[]} tokenDirs
+ * @param {string} outDir
+ * @param {object} options - Importer options
+ */
+function watch(tokenDirs, outDir, options) {
+  let timer = null
+  const watched = new Set()
+  const onChange = () => {
+    // Editors emit several events per save
+    clearTimeout(timer)
+    timer = setTimeout(rebuild, WATCH_DELAY)
+  }
+  // `fs.watch` only watches recursively on Linux since Node 20, before that every directory is watched
+  // on its own, and directories added since are picked up on the next rebuild
+  const watchDirectory = (dir) => {
+    if (!watched.has(dir)) {
+      watched.add(dir)
+      fs.watch(dir, onChange)
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) watchDirectory(path.join(dir, entry.name))
+    }
+  }
+  const rebuild = () => {
+    timer = null
+    try {
+      if (watched.size > 0) tokenDirs.forEach(watchDirectory)
+      build(tokenDirs, outDir, options)
+    } catch (error) {
+      console.error(error.message)
+    }
+  }
+  for (const dir of tokenDirs) {
+    try {
+      fs.watch(dir, { recursive: true }, onChange)
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error
+      watchDirectory(dir)
+    }
+  }
+  console.log(`Watching ${tokenDirs.join(', ')}`)
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} args
+ * @returns {number} Exit code, watch mode keeps running
+ */
+function main(args) {
+  let command, tokenDirs, values, options
+  try {
+    ({ command, tokenDirs, values } = parseCommandLine(args))
+    if (values.help) {
+      console.log(USAGE)
+      return 0
+    }
+    if (command !== 'build') {
+      throw new Error(command ? `Unknown command "${command}"` : 'Missing command')
+    }
+    if (tokenDirs.length === 0) throw new Error('Missing token directory')
+    if (!values.out) throw new Error('Missing --out directory')
+    if (values.watch && values.check) throw new Error('--watch and --check cannot be combined')
+    options = importerOptions(values)
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`)
+    return 1
+  }
+
+  try {
+    if (values.check) return check(tokenDirs, values.out, options) ? 0 : 1
+    build(tokenDirs, values.out, options)
+  } catch (error) {
+    console.error(error.message)
+    if (!values.watch) return 1
+  }
+  if (values.watch) watch(tokenDirs, values.out, options)
+  return 0
+}
+
+process.exitCode = main(process.argv.slice(2))
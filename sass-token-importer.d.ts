@@ -1,22 +1,168 @@
-import type { Importer } from 'sass';
+import type { Importer, LegacySyncImporter } from 'sass';
 
 export interface TokenEntry {
   path: string[];
   type: string;
   value: unknown;
+  /** From `$description`, a Style Dictionary `comment` or a Tokens Studio or Figma `description` */
+  description?: string;
+  /** From `$deprecated`, inherited from groups: `true` or a deprecation message */
+  deprecated?: true | string;
+  /** Set on Tokens Studio tokens, whose math on references is evaluated */
+  math?: true;
+  file?: string;
 }
 
-export interface TokenImporterOptions {
-  output?: 'variables' | 'map';
+export interface TokenDiagnostic {
+  path: string[];
+  reason: string;
+  file?: string;
+}
+
+export type OutputMode = 'variables' | 'map' | 'css';
+
+export interface CssOutputOptions {
+  selector?: string;
+  prefix?: string;
+}
+
+/** A dot-path glob such as `color.**` or `spacing.*`, or a type selector such as `$type:color` */
+export type TokenFilter = string;
+
+export type ColorFormat = 'hex' | 'rgb' | 'hsl' | 'oklch' | 'preserve';
+
+/** `rem` or `px` for dimensions, `s` or `ms` for durations */
+export type UnitTransform = 'rem' | 'px' | 's' | 'ms';
+
+export type ValueTransform = (value: unknown, token: TokenEntry) => unknown;
+
+export interface OutputOptions extends CssOutputOptions {
+  /** Joins the prefix and path segments of generated names. Default: `-` */
+  separator?: string;
+  /** Names a token in variables, custom properties and mixins, before the prefix is added */
+  name?: (token: TokenEntry) => string;
+  include?: TokenFilter | TokenFilter[];
+  exclude?: TokenFilter | TokenFilter[];
+  /** Value transforms by token type, built-in unit conversions or functions */
+  transforms?: Record<string, UnitTransform | ValueTransform>;
+  /** Root font size for `rem` and `px` conversions. Default: `16` */
+  remBase?: number;
+  /** Round dimensions, durations and numbers to this many decimals */
+  precision?: number;
+  /** Convert colors to one format, gamut-mapping to sRGB for `hex`, `rgb` and `hsl`. Default: `preserve` */
+  colorFormat?: ColorFormat;
+  /** In `css` output, emit sRGB fallbacks for wide-gamut colors and their own values in `@supports` blocks */
+  colorFallback?: boolean;
+  accessor?: boolean;
+  mixins?: boolean;
+  /** Flag variables and maps `!default`, so modules can be configured with `@use ... with (...)` */
+  default?: boolean;
+}
+
+export type TokenSetStatus = 'enabled' | 'source' | 'disabled';
+
+export type ThemeDefinition = string[] | Record<string, TokenSetStatus>;
+
+export interface TokenImporterOptions extends OutputOptions {
+  output?: OutputMode;
   resolveAliases?: boolean;
+  strict?: boolean | 'error' | 'warn';
+  files?: string[];
+  themes?: Record<string, ThemeDefinition>;
+  resolver?: string | ResolverDocument;
+  parsers?: Record<string, TokenFileParser>;
+  extensions?: string[];
+}
+
+/** Parses the source of a token file into a DTCG or Style Dictionary object */
+export type TokenFileParser = (source: string, filePath: string) => object;
+
+export interface ResolverSource {
+  $ref?: string;
+  [key: string]: unknown;
 }
 
-export function detectFormat(data: object): 'dtcg' | 'style-dictionary';
-export function extractTokens(data: object, format: 'dtcg' | 'style-dictionary'): TokenEntry[];
-export function resolveAliases(tokens: TokenEntry[]): TokenEntry[];
+export interface ResolverSet {
+  name?: string;
+  type?: 'set';
+  sources: ResolverSource[];
+}
+
+export interface ResolverModifier {
+  name?: string;
+  type?: 'modifier';
+  contexts: Record<string, ResolverSource[]>;
+  default?: string;
+}
+
+export interface ResolverDocument {
+  name?: string;
+  version?: string;
+  sets?: Record<string, ResolverSet>;
+  modifiers?: Record<string, ResolverModifier>;
+  resolutionOrder: Array<{ $ref: string } | ResolverSet | ResolverModifier>;
+}
+
+export type TokenFormat = 'dtcg' | 'style-dictionary' | 'tokens-studio' | 'figma';
+
+export interface ExtractOptions {
+  /** Figma mode names by collection name. Collections default to their default mode. */
+  modes?: Record<string, string>;
+}
+
+export function detectFormat(data: object): TokenFormat;
+export function extractTokens(data: object, format: TokenFormat, options?: ExtractOptions): TokenEntry[];
+export function resolveAliases(tokens: TokenEntry[], referenceTokens?: TokenEntry[]): TokenEntry[];
+export function normalizeResolverInputs(document: ResolverDocument, inputs: Record<string, string>): Record<string, string>;
+export function applyResolver(document: ResolverDocument, inputs: Record<string, string>, baseDir: string): { tokens: TokenEntry[]; files: string[] };
+export function validateTokens(tokens: TokenEntry[], options?: { allowAliases?: boolean; customTypes?: string[] }): TokenDiagnostic[];
 export function convertValue(value: unknown, type: string): string;
-export function generateScss(tokens: TokenEntry[], mode: 'variables' | 'map'): string;
+export function generateScss(tokens: TokenEntry[], mode: OutputMode, options?: OutputOptions): string;
+
+export interface TokenImporter<sync extends 'sync' | 'async' = 'sync'> extends Importer<sync> {
+  /** Drop cached output built from a file, including modules that alias into it */
+  invalidate(filePath: string): void;
+  /** Drop all cached output */
+  clearCache(): void;
+}
+
+export function sassTokenImporter(tokenPaths: string | string[], options?: TokenImporterOptions): TokenImporter<'sync'>;
+export function sassTokenImporterAsync(tokenPaths: string | string[], options?: TokenImporterOptions): TokenImporter<'async'>;
+
+export type TokenLegacyImporter = LegacySyncImporter & Pick<TokenImporter, 'invalidate' | 'clearCache'>;
+
+export function sassTokenLegacyImporter(tokenPaths: string | string[], options?: TokenImporterOptions): TokenLegacyImporter;
+
+export interface TokenVitePlugin extends Pick<TokenImporter, 'invalidate' | 'clearCache'> {
+  name: 'sass-token-importer';
+  /** Registers the importer in `css.preprocessorOptions.scss` and `css.preprocessorOptions.sass` */
+  config(): { css: { preprocessorOptions: Record<'scss' | 'sass', { importers: Importer<'async'>[] }> } };
+  /** Watches the token directories */
+  configureServer(server: any): void;
+  /** Adds the token files a Sass stylesheet loaded as its watched dependencies */
+  transform(this: { addWatchFile(id: string): void }, code: string, id: string): null;
+  /** Adds the token files loaded by partials as watched files of the build */
+  buildEnd(this: { addWatchFile(id: string): void }): void;
+  watchChange(id: string, change: { event: 'create' | 'update' | 'delete' }): void;
+}
+
+export function sassTokenVitePlugin(tokenPaths: string | string[], options?: TokenImporterOptions): TokenVitePlugin;
+
+export interface TokenLoaderOptions {
+  /** `sass-loader` calls this for every stylesheet with the webpack loader context */
+  sassOptions(loaderContext: { addDependency(file: string): void; addContextDependency(dir: string): void }): { importers: Importer<'async'>[] };
+}
+
+export function sassTokenLoaderOptions(tokenPaths: string | string[], options?: TokenImporterOptions): TokenLoaderOptions;
+
+export interface TokenPartial {
+  /** Partial path relative to the output directory, e.g. `semantic/_colors.scss` */
+  file: string;
+  /** Absolute path of the token file it was built from */
+  source: string;
+  contents: string;
+}
 
-export function sassTokenImporter(tokenPaths: string | string[], options?: TokenImporterOptions): Importer<'sync'>;
+export function buildTokenPartials(tokenPaths: string | string[], options?: TokenImporterOptions): TokenPartial[];
 
 export default sassTokenImporter;
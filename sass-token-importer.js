@@ -1,9 +1,36 @@
 import fs from 'node:fs'
+import { createRequire } from 'node:module'
 import path from 'node:path'
-import { URL } from 'node:url'
+import { URL, fileURLToPath } from 'node:url'
 import { transformCamelCaseToDash } from 'book-of-spells'
 
+const require = createRequire(import.meta.url)
+
 const TOKEN_SCHEME = 'token:'
+const VITE_CANONICAL_SCHEME = 'token-file:'
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g
+const THEME_PREFIX = 'theme/'
+const FIGMA_PREFIX = 'figma/'
+const THEMES_FILE = '$themes.json'
+const RESOLVER_NAME = 'resolver'
+const RESOLVER_EXTENSION = '.resolver.json'
+// Vite module ids of Sass stylesheets, including Vue `<style lang="scss">` blocks
+const SASS_MODULE_PATTERN = /\.s[ac]ss(?:$|\?)/
+// Token file extensions tried when resolving a module name, followed by those of `PARSER_PACKAGES`
+// whose package is installed and those of custom parsers
+const DEFAULT_EXTENSIONS = ['.json']
+// Packages providing the built-in parsers, installed alongside this one when needed
+const PARSER_PACKAGES = {
+  '.jsonc': 'json5',
+  '.json5': 'json5',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+}
+const OUTPUT_MODES = ['variables', 'map', 'css']
+const IMPORT_OPTIONS = ['accessor', 'colorFallback', 'colorFormat', 'default', 'exclude', 'include', 'mixins', 'output', 'prefix', 'resolveAliases', 'selector', 'separator', 'strict']
+const STRICT_LEVELS = ['true', 'false', 'error', 'warn']
+const BOOLEAN_IMPORT_OPTIONS = ['accessor', 'colorFallback', 'default', 'mixins', 'resolveAliases']
 
 const GENERIC_FONT_FAMILIES = new Set([
   'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy',
@@ -11,11 +38,160 @@ const GENERIC_FONT_FAMILIES = new Set([
   'math', 'emoji', 'fangsong'
 ])
 
+const COMPOSITE_TYPES = new Set(['typography', 'shadow', 'border', 'transition'])
+
+// Sub-value types of composite tokens, as defined by the DTCG format
+const COMPOSITE_SUB_TYPES = {
+  typography: {
+    fontFamily: 'fontFamily',
+    fontSize: 'dimension',
+    fontWeight: 'fontWeight',
+    letterSpacing: 'dimension',
+    lineHeight: 'number'
+  },
+  shadow: {
+    color: 'color',
+    offsetX: 'dimension',
+    offsetY: 'dimension',
+    blur: 'dimension',
+    spread: 'dimension',
+    inset: 'boolean'
+  },
+  border: {
+    color: 'color',
+    width: 'dimension',
+    style: 'strokeStyle'
+  },
+  transition: {
+    duration: 'duration',
+    delay: 'duration',
+    timingFunction: 'cubicBezier'
+  },
+  gradient: {
+    color: 'color',
+    position: 'number'
+  }
+}
+
+// Typography keys whose CSS property isn't simply the dashed key name
+const TYPOGRAPHY_PROPERTIES = {
+  textCase: 'text-transform'
+}
+
+const TRANSITION_PROPERTIES = {
+  duration: 'transition-duration',
+  timingFunction: 'transition-timing-function',
+  delay: 'transition-delay'
+}
+
+const BORDER_SHORTHAND = ['width', 'style', 'color']
+const SHADOW_SHORTHAND = ['offsetX', 'offsetY', 'blur', 'spread', 'color']
+
+const FONT_WEIGHT_KEYWORDS = new Set([
+  'thin', 'hairline', 'extra-light', 'ultra-light', 'light', 'normal', 'regular', 'book',
+  'medium', 'semi-bold', 'demi-bold', 'bold', 'extra-bold', 'ultra-bold', 'black', 'heavy',
+  'extra-black', 'ultra-black', 'lighter', 'bolder'
+])
+
+const STROKE_STYLE_KEYWORDS = new Set(['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'])
+const LINE_CAPS = new Set(['round', 'butt', 'square'])
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i
+const DIMENSION_PATTERN = /^-?(\d+\.?\d*|\.\d+)([a-z]+|%)$/i
+const DURATION_PATTERN = /^-?(\d+\.?\d*|\.\d+)(ms|s)$/
+const CSS_FUNCTION_PATTERN = /^[a-z-]+\(.*\)$/is
+
+// Units the built-in transforms convert between, with their size in the smallest unit. `rem` is set from `remBase`
+const UNIT_TRANSFORMS = {
+  dimension: { px: 1, rem: null },
+  duration: { ms: 1, s: 1000 }
+}
+const DEFAULT_REM_BASE = 16
+
+const COLOR_FORMATS = ['hex', 'rgb', 'hsl', 'oklch', 'preserve']
+// Color spaces written with their own CSS function instead of color(), and which of their components are percentages
+const FUNCTIONAL_COLOR_SPACES = {
+  hsl: [false, true, true],
+  hwb: [false, true, true],
+  lab: [false, false, false],
+  lch: [false, false, false],
+  oklab: [false, false, false],
+  oklch: [false, false, false]
+}
+// A value of each wide-gamut color function, for @supports tests
+const COLOR_SUPPORTS_TESTS = {
+  color: 'color(display-p3 0 0 0)',
+  hwb: 'hwb(0 0% 0%)',
+  lab: 'lab(0 0 0)',
+  lch: 'lch(0 0 0)',
+  oklab: 'oklab(0 0 0)',
+  oklch: 'oklch(0 0 0)'
+}
+// Linear-light display-p3 to linear-light sRGB, from CSS Color 4
+const P3_TO_SRGB = [
+  [1.2249401762805598, -0.22494017628055996, 0],
+  [-0.04205695470968816, 1.042056954709688, 0],
+  [-0.019637554590334432, -0.07863604555063188, 1.0982736001409663]
+]
+// Gamut mapping tolerances of the CSS Color 4 algorithm
+const GAMUT_JND = 0.02
+const GAMUT_EPSILON = 0.0001
+
 const SD_TYPE_ALIASES = {
   size: 'dimension',
   opacity: 'number'
 }
 
+// Tokens Studio types that only exist in Tokens Studio, and the token types they map onto
+const TOKENS_STUDIO_TYPES = {
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  fontSizes: 'dimension',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  paragraphIndent: 'dimension',
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  lineHeights: 'number',
+  boxShadow: 'shadow'
+}
+
+// Tokens Studio types without a DTCG or Style Dictionary equivalent, which only tell the format apart
+const TOKENS_STUDIO_ONLY_TYPES = new Set([...Object.keys(TOKENS_STUDIO_TYPES), 'composition', 'textCase', 'textDecoration', 'asset'])
+
+// Tokens Studio names font weights after the font's styles
+const TOKENS_STUDIO_FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+}
+
+// Typography sub-values that Tokens Studio writes without a unit, meaning pixels
+const TOKENS_STUDIO_PIXEL_KEYS = new Set(['fontSize', 'letterSpacing', 'paragraphSpacing', 'paragraphIndent'])
+
+// Figma variable scopes whose FLOAT values are lengths in pixels
+const FIGMA_DIMENSION_SCOPES = new Set([
+  'CORNER_RADIUS', 'WIDTH_HEIGHT', 'GAP', 'STROKE_FLOAT', 'EFFECT_FLOAT',
+  'FONT_SIZE', 'LINE_HEIGHT', 'LETTER_SPACING', 'PARAGRAPH_SPACING', 'PARAGRAPH_INDENT'
+])
+
+const MATH_TOKEN_PATTERN = /\s*(?:(\d*\.?\d+)([a-z]+|%)?|([-+*/()]))\s*/iy
+
 /**
  * Sanitize a token name segment for use as a SCSS variable/key name
  * @param {string} name
@@ -29,61 +205,114 @@ function sanitizeName(name) {
 }
 
 /**
- * Detect token format: W3C DTCG or Style Dictionary
+ * Detect token format: W3C DTCG, Style Dictionary, Tokens Studio or a Figma Variables export
  * @param {object} data - Parsed JSON token data
- * @returns {'dtcg' | 'style-dictionary'}
+ * @returns {'dtcg' | 'style-dictionary' | 'tokens-studio' | 'figma'}
  */
 export function detectFormat(data) {
+  if (figmaRoot(data)) return 'figma'
+  if (isTokensStudioSets(data)) return 'tokens-studio'
+  let format = null
   const stack = [data]
   while (stack.length > 0) {
     const node = stack.pop()
     if (node === null || typeof node !== 'object' || Array.isArray(node)) continue
-    if ('$value' in node) return 'dtcg'
-    if ('value' in node && 'type' in node) return 'style-dictionary'
+    const isDtcgToken = '$value' in node
+    if (isDtcgToken || ('value' in node && 'type' in node)) {
+      // Tokens Studio writes both shapes, only its own types and extensions tell it apart
+      if (isTokensStudioToken(node)) return 'tokens-studio'
+      if (isDtcgToken) format = 'dtcg'
+      else if (!format) format = 'style-dictionary'
+      continue
+    }
     for (const key of Object.keys(node)) {
       if (!key.startsWith('$')) {
         stack.push(node[key])
       }
     }
   }
-  return 'dtcg'
+  return format || 'dtcg'
+}
+
+/**
+ * Check whether a token has a Tokens Studio type or `studio.tokens` extensions. Values aren't
+ * looked at, a DTCG string like `{grid.start} / {grid.end}` isn't math.
+ * @param {object} node - Token with `$value` or `value`
+ * @returns {boolean}
+ */
+function isTokensStudioToken(node) {
+  const type = '$value' in node ? node.$type : node.type
+  const extensions = node.$extensions
+  return TOKENS_STUDIO_ONLY_TYPES.has(type) ||
+    (extensions !== null && typeof extensions === 'object' && 'studio.tokens' in extensions)
+}
+
+/**
+ * Check whether data is a Tokens Studio multi-set export, whose top-level keys are token set names
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isTokensStudioSets(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    ('$metadata' in data || '$themes' in data)
 }
 
 /**
- * Extract flat token entries from a token tree
+ * Extract flat token entries from a token tree.
+ * Token sets of a Tokens Studio multi-set export are merged in `$metadata.tokenSetOrder`,
+ * later sets overriding earlier ones. Tokens Studio tokens may use `value` and `type` or the
+ * DTCG `$value` and `$type`, and a Tokens Studio tree without any tokens throws. They are
+ * marked `math`, as only Tokens Studio evaluates arithmetic on references. Figma variables take
+ * the value of their collection's default mode unless `options.modes` selects another.
+ * Descriptions and DTCG `$deprecated` flags, which groups pass on to their tokens, are kept as
+ * `description` and `deprecated`.
  * @param {object} data - Parsed JSON token data
- * @param {'dtcg' | 'style-dictionary'} format
- * @returns {Array<{path: string[], type: string, value: *}>}
+ * @param {'dtcg' | 'style-dictionary' | 'tokens-studio' | 'figma'} format
+ * @param {{ modes?: Object<string, string> }} [options] - Figma mode names by collection name
+ * @returns {Array<{path: string[], type: string, value: *, description?: string, deprecated?: true | string, math?: true}>}
  */
-export function extractTokens(data, format) {
+export function extractTokens(data, format, options) {
+  if (format === 'figma') {
+    return figmaVariables(data, options && options.modes).map((variable) => variable.token)
+  }
+  if (format === 'tokens-studio') {
+    const tokens = extractTokensStudioTokens(data)
+    if (tokens.length === 0) {
+      throw new Error('No tokens found in Tokens Studio data, expected tokens with "value" and "type" or "$value" and "$type"')
+    }
+    return tokens
+  }
+
+  if (format === 'dtcg') data = expandReferences(data)
   const tokens = []
 
-  function walk(node, currentPath, inheritedType) {
+  function walk(node, currentPath, inheritedType, inheritedDeprecated) {
     if (node === null || typeof node !== 'object' || Array.isArray(node)) return
 
     if (format === 'dtcg') {
       const groupType = node.$type || inheritedType
+      const deprecated = '$deprecated' in node ? node.$deprecated : inheritedDeprecated
       if ('$value' in node) {
-        tokens.push({
+        tokens.push(withMetadata({
           path: currentPath,
           type: groupType || 'unknown',
           value: node.$value
-        })
+        }, node.$description, deprecated))
         return
       }
       for (const key of Object.keys(node)) {
         if (key.startsWith('$')) continue
-        walk(node[key], [...currentPath, key], groupType)
+        walk(node[key], [...currentPath, key], groupType, deprecated)
       }
     } else {
       if ('value' in node && 'type' in node) {
         const rawType = node.type
         const type = SD_TYPE_ALIASES[rawType] || rawType
-        tokens.push({
+        tokens.push(withMetadata({
           path: currentPath,
           type,
           value: node.value
-        })
+        }, node.comment))
         return
       }
       for (const key of Object.keys(node)) {
@@ -92,17 +321,470 @@ export function extractTokens(data, format) {
     }
   }
 
+  walk(data, [], undefined, undefined)
+  return tokens
+}
+
+/**
+ * Extract the tokens of a Tokens Studio set, or merge the sets of a multi-set export
+ * @param {object} data
+ * @returns {Array<{path: string[], type: string, value: *, description?: string}>}
+ */
+function extractTokensStudioTokens(data) {
+  if (isTokensStudioSets(data)) {
+    const order = (data.$metadata && data.$metadata.tokenSetOrder) ||
+      Object.keys(data).filter((key) => !key.startsWith('$'))
+    const merged = new Map()
+    for (const set of order) {
+      for (const token of extractTokensStudioTokens(data[set])) {
+        merged.set(token.path.join('.'), token)
+      }
+    }
+    return [...merged.values()]
+  }
+
+  const tokens = []
+
+  function walk(node, currentPath, inheritedType) {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) return
+    const groupType = node.$type || inheritedType
+    if ('$value' in node) {
+      tokens.push(withMetadata(normalizeTokensStudioToken(currentPath, groupType || 'unknown', node.$value), node.$description))
+      return
+    }
+    if ('value' in node && 'type' in node) {
+      tokens.push(withMetadata(normalizeTokensStudioToken(currentPath, node.type, node.value), node.description))
+      return
+    }
+    for (const key of Object.keys(node)) {
+      if (key.startsWith('$')) continue
+      walk(node[key], [...currentPath, key], groupType)
+    }
+  }
+
   walk(data, [], undefined)
   return tokens
 }
 
+/**
+ * Add a description and deprecation to a token, leaving out empty ones
+ * @param {{path: string[], type: string, value: *}} token
+ * @param {*} description
+ * @param {*} [deprecated] - `true` or a deprecation message
+ * @returns {{path: string[], type: string, value: *, description?: string, deprecated?: true | string}}
+ */
+function withMetadata(token, description, deprecated) {
+  if (typeof description === 'string' && description.trim() !== '') token.description = description.trim()
+  if (deprecated === true || (typeof deprecated === 'string' && deprecated.trim() !== '')) {
+    token.deprecated = deprecated === true ? true : deprecated.trim()
+  }
+  return token
+}
+
+/**
+ * Expand `$extends` group inheritance and `$ref` JSON Pointer references in a DTCG token tree.
+ * A `$ref` to a token or its `$value` becomes a `{path}` alias, a `$ref` into a sub-value is
+ * replaced by a copy of it. Groups are deep-merged into their base group, local tokens winning.
+ * @param {object} data - Parsed DTCG token data
+ * @returns {object} Token tree without `$ref` and `$extends`
+ */
+function expandReferences(data) {
+  const active = []
+
+  function pointerSegments(keyword, ref) {
+    if (typeof ref === 'string') {
+      const alias = ref.match(ALIAS_PATTERN)
+      if (alias) return alias[1].split('.')
+      if (ref.startsWith('#/')) {
+        return ref.slice(2).split('/').map((s) => decodeURIComponent(s).replace(/~1/g, '/').replace(/~0/g, '~'))
+      }
+    }
+    throw new Error(`Invalid ${keyword} ${JSON.stringify(ref)}, expected a "#/..." JSON Pointer or a "{path}" alias`)
+  }
+
+  // Walk a pointer through the raw tree, applying `$ref` and `$extends` of the groups on the way
+  function locate(segments, seen) {
+    let node = data
+    for (const segment of segments) {
+      node = shallow(node, seen)
+      if (node === null || typeof node !== 'object' || !(segment in node)) return undefined
+      node = node[segment]
+    }
+    return node
+  }
+
+  function follow(keyword, ref, seen) {
+    const segments = pointerSegments(keyword, ref)
+    const key = segments.join('/')
+    if (seen.has(key)) {
+      throw new Error(`Circular ${keyword} detected: ${ref}`)
+    }
+    seen.add(key)
+    const node = locate(segments, seen)
+    if (node === undefined) {
+      throw new Error(`Cannot resolve ${keyword} "${ref}"`)
+    }
+    return { segments, node }
+  }
+
+  // Resolve the `$ref` or `$extends` of a node itself, leaving its children untouched
+  function shallow(node, seen) {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) return node
+    if ('$ref' in node) return shallow(follow('$ref', node.$ref, seen).node, seen)
+    if ('$extends' in node) {
+      const { $extends, ...local } = node
+      return mergeGroups(shallow(follow('$extends', $extends, seen).node, seen), local)
+    }
+    return node
+  }
+
+  function isGroup(node) {
+    return node !== null && typeof node === 'object' && !Array.isArray(node) && !('$value' in node)
+  }
+
+  function mergeGroups(base, local) {
+    const merged = { ...base }
+    for (const [key, value] of Object.entries(local)) {
+      merged[key] = !key.startsWith('$') && isGroup(merged[key]) && isGroup(value)
+        ? mergeGroups(shallow(merged[key], new Set()), shallow(value, new Set()))
+        : value
+    }
+    return merged
+  }
+
+  function within(keyword, ref, expandTarget) {
+    const key = pointerSegments(keyword, ref).join('/')
+    if (active.includes(key)) {
+      throw new Error(`Circular ${keyword} detected: ${ref}`)
+    }
+    active.push(key)
+    try {
+      return expandTarget()
+    } finally {
+      active.pop()
+    }
+  }
+
+  function expand(node, inValue) {
+    if (Array.isArray(node)) return node.map((item) => expand(item, inValue))
+    if (node === null || typeof node !== 'object') return node
+
+    if ('$ref' in node) {
+      const { segments, node: target } = follow('$ref', node.$ref, new Set())
+      const tokenPath = segments[segments.length - 1] === '$value' ? segments.slice(0, -1) : segments
+      const token = shallow(locate(tokenPath, new Set()), new Set())
+      if (inValue && isTokenNode(token)) return `{${tokenPath.join('.')}}`
+      return within('$ref', node.$ref, () => expand(target, inValue || segments.includes('$value')))
+    }
+    if (!inValue && '$extends' in node) {
+      const merged = shallow(node, new Set())
+      return within('$extends', node.$extends, () => expand(merged, false))
+    }
+
+    const result = {}
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = key.startsWith('$') && key !== '$value' ? value : expand(value, inValue || key === '$value')
+    }
+    return result
+  }
+
+  return expand(data, false)
+}
+
+/**
+ * Check whether a node of a DTCG token tree is a token
+ * @param {*} node
+ * @returns {boolean}
+ */
+function isTokenNode(node) {
+  return node !== null && typeof node === 'object' && !Array.isArray(node) && '$value' in node
+}
+
+/**
+ * Map a Tokens Studio token onto the DTCG types: rename types, evaluate math without
+ * references, add `px` to unitless dimensions and convert shadow and font weight values.
+ * The token is marked `math`, so math on references is evaluated once they are resolved.
+ * @param {string[]} tokenPath
+ * @param {string} rawType - Tokens Studio type, e.g. `spacing` or `boxShadow`
+ * @param {*} value
+ * @returns {{path: string[], type: string, value: *, math: true}}
+ */
+function normalizeTokensStudioToken(tokenPath, rawType, value) {
+  let type = TOKENS_STUDIO_TYPES[rawType] || SD_TYPE_ALIASES[rawType] || rawType
+  if (typeof value === 'string' && !value.includes('{')) {
+    const result = evaluateMath(value)
+    if (result !== null) value = result
+  }
+  // Line heights are unitless or percentages, and only dimensions when given in a length unit
+  if (rawType === 'lineHeights' && typeof value === 'string' && /^-?(\d+\.?\d*|\.\d+)[a-z]+$/i.test(value)) {
+    type = 'dimension'
+  }
+
+  switch (type) {
+    case 'dimension':
+      value = pixelDimension(value)
+      break
+    case 'number':
+      value = tokensStudioNumber(value)
+      break
+    case 'fontWeight':
+      value = tokensStudioFontWeight(value)
+      break
+    case 'shadow':
+      value = Array.isArray(value) ? value.map(tokensStudioShadow) : tokensStudioShadow(value)
+      break
+    case 'typography':
+      if (typeof value === 'object' && value !== null) {
+        value = Object.fromEntries(Object.entries(value).map(([key, subValue]) => {
+          if (key === 'fontWeight') return [key, tokensStudioFontWeight(subValue)]
+          if (key === 'lineHeight') return [key, tokensStudioNumber(subValue)]
+          return [key, TOKENS_STUDIO_PIXEL_KEYS.has(key) ? pixelDimension(subValue) : subValue]
+        }))
+      }
+      break
+  }
+  return { path: tokenPath, type, value, math: true }
+}
+
+/**
+ * Add `px` to a unitless number, which Tokens Studio treats as pixels
+ * @param {*} value
+ * @returns {*}
+ */
+function pixelDimension(value) {
+  if (isNumber(value) || (typeof value === 'string' && /^-?(\d+\.?\d*|\.\d+)$/.test(value))) {
+    return Number(value) === 0 ? '0' : `${Number(value)}px`
+  }
+  return value
+}
+
+/**
+ * Convert numeric strings and percentages to numbers
+ * @param {*} value
+ * @returns {*}
+ */
+function tokensStudioNumber(value) {
+  if (typeof value !== 'string') return value
+  if (/^-?(\d+\.?\d*|\.\d+)$/.test(value)) return Number(value)
+  if (/^-?(\d+\.?\d*|\.\d+)%$/.test(value)) return Number(value.slice(0, -1)) / 100
+  return value
+}
+
+/**
+ * Convert a font style name such as `Semi Bold` or `ExtraBold` to a numeric weight
+ * @param {*} value
+ * @returns {*}
+ */
+function tokensStudioFontWeight(value) {
+  if (typeof value !== 'string') return value
+  if (/^\d+$/.test(value)) return Number(value)
+  const weight = TOKENS_STUDIO_FONT_WEIGHTS[value.toLowerCase().replace(/[\s_-]/g, '')]
+  return weight !== undefined ? weight : value
+}
+
+/**
+ * Convert a Tokens Studio shadow layer (`x`, `y`, `type: 'innerShadow'`) to a DTCG shadow
+ * @param {*} layer
+ * @returns {*}
+ */
+function tokensStudioShadow(layer) {
+  if (typeof layer !== 'object' || layer === null) return layer
+  const shadow = {}
+  if ('color' in layer) shadow.color = layer.color
+  for (const [key, dtcgKey] of [['x', 'offsetX'], ['y', 'offsetY'], ['blur', 'blur'], ['spread', 'spread']]) {
+    if (key in layer) shadow[dtcgKey] = pixelDimension(layer[key])
+  }
+  if (layer.type === 'innerShadow') shadow.inset = true
+  return shadow
+}
+
+/**
+ * Get the collections and variables of a Figma Variables export, as returned by the
+ * REST API (`meta.variableCollections`) or written by plugins (top-level `variableCollections`)
+ * @param {*} data
+ * @returns {{ variableCollections: object, variables: object } | null}
+ */
+function figmaRoot(data) {
+  if (data === null || typeof data !== 'object') return null
+  const root = data.meta && typeof data.meta === 'object' ? data.meta : data
+  return root.variableCollections && root.variables ? root : null
+}
+
+/**
+ * List the collection names and modes of a Figma Variables export
+ * @param {object} data
+ * @returns {Array<{ name: string, modes: string[], defaultMode: string }>}
+ */
+function figmaCollections(data) {
+  return Object.values(figmaRoot(data).variableCollections).map((collection) => ({
+    name: collection.name,
+    modes: collection.modes.map((mode) => mode.name),
+    defaultMode: figmaMode(collection).name
+  }))
+}
+
+/**
+ * Find a mode of a Figma variable collection by name, or its default mode
+ * @param {object} collection
+ * @param {string} [name]
+ * @returns {{ modeId: string, name: string }}
+ */
+function figmaMode(collection, name) {
+  if (name === undefined) {
+    return collection.modes.find((mode) => mode.modeId === collection.defaultModeId) || collection.modes[0]
+  }
+  const mode = collection.modes.find((m) => m.name === name)
+  if (!mode) {
+    throw new Error(`Unknown mode "${name}" of Figma collection "${collection.name}", expected one of: ${collection.modes.map((m) => m.name).join(', ')}`)
+  }
+  return mode
+}
+
+/**
+ * Convert the variables of a Figma Variables export to tokens, named by their `/`-separated
+ * variable names. Aliases to other variables become `{path.to.token}` references.
+ * @param {object} data
+ * @param {Object<string, string>} [modes] - Mode names by collection name
+ * @returns {Array<{ collection: string, token: {path: string[], type: string, value: *} }>}
+ */
+function figmaVariables(data, modes = {}) {
+  const root = figmaRoot(data)
+  const collections = new Map(Object.values(root.variableCollections).map((collection) => [collection.id, collection]))
+  const variables = Object.values(root.variables).filter((variable) => !variable.deletedButReferenced)
+  const paths = new Map(variables.map((variable) => [variable.id, variable.name.split('/')]))
+
+  return variables.map((variable) => {
+    const collection = collections.get(variable.variableCollectionId)
+    const mode = figmaMode(collection, modes[collection.name])
+    const type = figmaType(variable)
+    let value = variable.valuesByMode[mode.modeId]
+    if (value && value.type === 'VARIABLE_ALIAS') {
+      value = `{${paths.has(value.id) ? paths.get(value.id).join('.') : value.id}}`
+    } else if (type === 'color') {
+      // Figma stores alpha as a 32-bit float, 0.7 reads back as 0.699999988
+      const alpha = value.a !== undefined ? Math.round(value.a * 1000) / 1000 : 1
+      value = { colorSpace: 'srgb', components: [value.r, value.g, value.b], alpha }
+    } else if (type === 'dimension') {
+      value = `${value}px`
+    }
+    return { collection: collection.name, token: withMetadata({ path: paths.get(variable.id), type, value }, variable.description) }
+  })
+}
+
+/**
+ * Map a Figma variable's `resolvedType` and scopes onto a token type
+ * @param {{ resolvedType: string, scopes?: string[] }} variable
+ * @returns {string}
+ */
+function figmaType(variable) {
+  const scopes = variable.scopes || []
+  switch (variable.resolvedType) {
+    case 'COLOR':
+      return 'color'
+    case 'BOOLEAN':
+      return 'boolean'
+    case 'STRING':
+      return scopes.includes('FONT_FAMILY') ? 'fontFamily' : 'string'
+    case 'FLOAT':
+      if (scopes.includes('FONT_WEIGHT')) return 'fontWeight'
+      if (scopes.length > 0 && scopes.every((scope) => FIGMA_DIMENSION_SCOPES.has(scope))) return 'dimension'
+      return 'number'
+    default:
+      return 'unknown'
+  }
+}
+
+/**
+ * Evaluate an arithmetic expression over numbers and dimensions, as written in Tokens Studio,
+ * e.g. `8px * 2` or `(16px - 4px) / 2`. Dimensions with different units can't be combined
+ * at compile time and are left to the browser as `calc()`.
+ * @param {string} expression
+ * @returns {string | number | null} The result, or `null` when the string isn't an arithmetic expression
+ */
+function evaluateMath(expression) {
+  const parts = []
+  MATH_TOKEN_PATTERN.lastIndex = 0
+  while (MATH_TOKEN_PATTERN.lastIndex < expression.length) {
+    const match = MATH_TOKEN_PATTERN.exec(expression)
+    if (!match) return null
+    parts.push(match[3] || { value: Number(match[1]), unit: match[2] || '' })
+  }
+
+  let index = 0
+  let operators = 0
+  let compatible = true
+
+  function combine(operator, a, b) {
+    operators++
+    switch (operator) {
+      case '+':
+      case '-':
+        if (a.unit && b.unit && a.unit !== b.unit) compatible = false
+        return { value: operator === '+' ? a.value + b.value : a.value - b.value, unit: a.unit || b.unit }
+      case '*':
+        if (a.unit && b.unit) compatible = false
+        return { value: a.value * b.value, unit: a.unit || b.unit }
+      default:
+        if (b.unit && b.unit !== a.unit) compatible = false
+        return { value: a.value / b.value, unit: b.unit ? '' : a.unit }
+    }
+  }
+
+  function parseSum() {
+    let left = parseProduct()
+    while (left && (parts[index] === '+' || parts[index] === '-')) {
+      const operator = parts[index++]
+      const right = parseProduct()
+      left = right && combine(operator, left, right)
+    }
+    return left
+  }
+
+  function parseProduct() {
+    let left = parseOperand()
+    while (left && (parts[index] === '*' || parts[index] === '/')) {
+      const operator = parts[index++]
+      const right = parseOperand()
+      left = right && combine(operator, left, right)
+    }
+    return left
+  }
+
+  function parseOperand() {
+    const part = parts[index++]
+    if (part === '-') {
+      const operand = parseOperand()
+      return operand && { value: -operand.value, unit: operand.unit }
+    }
+    if (part === '(') {
+      const inner = parseSum()
+      return parts[index++] === ')' ? inner : null
+    }
+    return typeof part === 'object' ? part : null
+  }
+
+  const result = parseSum()
+  if (!result || index !== parts.length || operators === 0) return null
+  if (!compatible) return `calc(${expression.trim()})`
+  if (!Number.isFinite(result.value)) return null
+  const value = Math.round(result.value * 10000) / 10000
+  return result.unit ? `${value}${result.unit}` : value
+}
+
 /**
  * Resolve alias references in token values
  * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {Array<{path: string[], type: string, value: *}>} [referenceTokens] - Tokens from other files, used for lookup only
  * @returns {Array<{path: string[], type: string, value: *}>}
  */
-export function resolveAliases(tokens) {
+export function resolveAliases(tokens, referenceTokens) {
   const tokenMap = new Map()
+  if (referenceTokens) {
+    for (const token of referenceTokens) {
+      const key = token.path.join('.')
+      if (!tokenMap.has(key)) tokenMap.set(key, { ...token })
+    }
+  }
   for (const token of tokens) {
     tokenMap.set(token.path.join('.'), token)
   }
@@ -110,9 +792,9 @@ export function resolveAliases(tokens) {
   const resolved = new Set()
   const resolving = new Set()
 
-  function resolveValue(value, tokenKey) {
+  function resolveValue(value, token) {
     if (typeof value === 'string') {
-      const aliasMatch = value.match(/^\{(.+)\}$/)
+      const aliasMatch = value.match(ALIAS_PATTERN)
       if (aliasMatch) {
         const refPath = aliasMatch[1]
         if (resolving.has(refPath)) {
@@ -123,23 +805,59 @@ export function resolveAliases(tokens) {
         resolveToken(refToken)
         return refToken.value
       }
+      if (value.includes('{')) return resolveEmbedded(value, token.math)
       return value
     }
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    if (Array.isArray(value)) {
+      // An alias to a list, like a font stack or shadow layers, is spliced into the list
+      return value.flatMap((item) => {
+        const resolvedItem = resolveValue(item, token)
+        return typeof item === 'string' && ALIAS_PATTERN.test(item) && Array.isArray(resolvedItem) ? resolvedItem : [resolvedItem]
+      })
+    }
+    if (typeof value === 'object' && value !== null) {
       const result = {}
       for (const [k, v] of Object.entries(value)) {
-        result[k] = resolveValue(v, tokenKey)
+        result[k] = resolveValue(v, token)
       }
       return result
     }
     return value
   }
 
+  // Substitute references embedded in a string such as `1px solid {color.border}`, each
+  // rendered as CSS text for its type. Math expressions such as `{spacing.base} * 2` are only
+  // evaluated in Tokens Studio tokens. Strings with a reference that can't be resolved or embedded
+  // are left untouched.
+  function resolveEmbedded(value, math) {
+    let complete = true
+    const interpolated = value.replace(REFERENCE_PATTERN, (match, refPath) => {
+      if (resolving.has(refPath)) {
+        throw new Error(`Circular alias reference detected: ${refPath}`)
+      }
+      const refToken = tokenMap.get(refPath)
+      if (!refToken) {
+        complete = false
+        return match
+      }
+      resolveToken(refToken)
+      const text = embedValue(refToken.value, refToken.type)
+      if (text === null) {
+        complete = false
+        return match
+      }
+      return text
+    })
+    if (!complete) return value
+    const result = math ? evaluateMath(interpolated) : null
+    return result === null ? interpolated : result
+  }
+
   function resolveToken(token) {
     const key = token.path.join('.')
     if (resolved.has(key)) return
     resolving.add(key)
-    token.value = resolveValue(token.value, key)
+    token.value = resolveValue(token.value, token)
     resolving.delete(key)
     resolved.add(key)
   }
@@ -152,204 +870,2182 @@ export function resolveAliases(tokens) {
 }
 
 /**
- * Convert a token value to a SCSS string representation
- * @param {*} value
+ * Render a token value as CSS text, for embedding in another token's string value
+ * @param {*} value - Resolved token value
  * @param {string} type
- * @returns {string}
+ * @returns {string | null} `null` for values without a single CSS text form, such as typography
  */
-export function convertValue(value, type) {
+function embedValue(value, type) {
+  if (typeof value === 'string') return value
+  if (isNumber(value)) return String(value)
+  if (typeof value !== 'object' || value === null) return null
+  const embedSubValue = (key) => {
+    const text = embedValue(value[key], inferSubType(key, type))
+    return text === null ? '' : text
+  }
   switch (type) {
+    case 'fontFamily':
+      return Array.isArray(value) ? value.map((f) => GENERIC_FONT_FAMILIES.has(f) ? f : `"${f}"`).join(', ') : null
+    case 'shadow':
+      if (Array.isArray(value)) {
+        return value.map((layer) => embedValue(layer, type)).join(', ')
+      }
+      return shadowShorthand(value, embedSubValue)
+    case 'border':
+      return isStrokeStyleObject(value.style) ? null : BORDER_SHORTHAND.filter((key) => key in value).map(embedSubValue).join(' ')
+    case 'gradient':
+      return Array.isArray(value)
+        ? value.map((stop) => gradientStop(stop, (key) => embedValue(stop[key], COMPOSITE_SUB_TYPES.gradient[key]))).join(', ')
+        : null
     case 'color':
-      return convertColor(value)
     case 'dimension':
-      return convertDimension(value)
-    case 'fontFamily':
-      return convertFontFamily(value)
-    case 'fontWeight':
-      return String(value)
     case 'duration':
-      return convertDuration(value)
     case 'cubicBezier':
-      return convertCubicBezier(value)
-    case 'number':
-      return String(value)
-    case 'typography':
-    case 'shadow':
-    case 'border':
-      return convertComposite(value, type)
+      return convertValue(value, type)
     default:
-      return String(value)
+      return null
   }
 }
 
-function convertColor(value) {
-  if (typeof value === 'string') return value
-  if (typeof value === 'object' && value !== null) {
-    const { colorSpace, components, alpha } = value
-    if (colorSpace === 'srgb' && Array.isArray(components)) {
-      const [r, g, b] = components
-      if (alpha !== undefined && alpha < 1) {
-        return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`
+/**
+ * Find a token reference to a path that is not defined
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {Set<string>} [defined] - Defined paths, by default those of `tokens`
+ * @returns {string | null} The first undefined path
+ */
+function findUndefinedReference(tokens, defined = new Set(tokens.map((token) => token.path.join('.')))) {
+  const stack = tokens.map((token) => token.value)
+  while (stack.length > 0) {
+    const value = stack.pop()
+    if (typeof value === 'string') {
+      for (const [, refPath] of value.matchAll(REFERENCE_PATTERN)) {
+        if (!defined.has(refPath)) return refPath
       }
-      const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0')
-      return `#${toHex(r)}${toHex(g)}${toHex(b)}`
-    }
-    if (colorSpace && Array.isArray(components)) {
-      const a = alpha !== undefined && alpha < 1 ? ` / ${alpha}` : ''
-      return `color(${colorSpace} ${components.join(' ')}${a})`
+    } else if (typeof value === 'object' && value !== null) {
+      stack.push(...Object.values(value))
     }
   }
-  return String(value)
+  return null
 }
 
-function convertDimension(value) {
-  if (typeof value === 'string') return value
-  if (typeof value === 'object' && value !== null) {
-    return `${value.value}${value.unit}`
+/**
+ * Find the files defining the tokens that `tokens` reference, directly or through other references
+ * @param {Array<{path: string[], value: *}>} tokens
+ * @param {Array<{path: string[], value: *, file: string}>} indexTokens
+ * @returns {Set<string>}
+ */
+function findReferencedFiles(tokens, indexTokens) {
+  const definitions = new Map()
+  for (const token of indexTokens) {
+    const key = token.path.join('.')
+    definitions.set(key, [...(definitions.get(key) || []), token])
   }
-  return String(value)
-}
+  const files = new Set()
+  const seen = new Set()
+  const stack = tokens.map((token) => token.value)
+  while (stack.length > 0) {
+    const value = stack.pop()
+    if (typeof value === 'string') {
+      for (const [, refPath] of value.matchAll(REFERENCE_PATTERN)) {
+        if (seen.has(refPath)) continue
+        seen.add(refPath)
+        for (const token of definitions.get(refPath) || []) {
+          files.add(token.file)
+          stack.push(token.value)
+        }
+      }
+    } else if (typeof value === 'object' && value !== null) {
+      stack.push(...Object.values(value))
+    }
+  }
+  return files
+}
 
-function convertFontFamily(value) {
-  if (typeof value === 'string') return value
-  if (Array.isArray(value)) {
-    const parts = value.map((f) => {
-      if (GENERIC_FONT_FAMILIES.has(f)) return f
-      return `"${f}"`
-    })
-    return `(${parts.join(', ')})`
+// File system operations yielded by the generator functions below, so the sync
+// and the async importer share one implementation and differ only in how they run it
+// A `readFile` may carry the stamp taken just before it, see `readDataFile`
+const SYNC_FS = {
+  stat: (filePath) => fs.statSync(filePath, { throwIfNoEntry: false }),
+  readFile: (filePath) => fs.readFileSync(filePath, 'utf-8'),
+  readdir: (dir) => fs.readdirSync(dir, { withFileTypes: true })
+}
+
+const ASYNC_FS = {
+  stat: (filePath) => fs.promises.stat(filePath).catch((error) => {
+    if (error.code === 'ENOENT') return undefined
+    throw error
+  }),
+  readFile: (filePath) => fs.promises.readFile(filePath, 'utf-8'),
+  readdir: (dir) => fs.promises.readdir(dir, { withFileTypes: true })
+}
+
+/**
+ * Run a generator, performing the file system operations it yields synchronously
+ * @param {Generator<[string, string], *, *>} generator
+ * @returns {*} The generator's return value
+ */
+function runSync(generator) {
+  let step = generator.next()
+  while (!step.done) {
+    const [operation, ...args] = step.value
+    let result
+    try {
+      result = SYNC_FS[operation](...args)
+    } catch (error) {
+      step = generator.throw(error)
+      continue
+    }
+    step = generator.next(result)
   }
-  return String(value)
+  return step.value
 }
 
-function convertDuration(value) {
+/**
+ * Run a generator, performing the file system operations it yields with `fs.promises`
+ * @param {Generator<[string, string], *, *>} generator
+ * @param {typeof ASYNC_FS} [operations] - Replaces the `fs.promises` operations
+ * @returns {Promise<*>} The generator's return value
+ */
+async function runAsync(generator, operations = ASYNC_FS) {
+  let step = generator.next()
+  while (!step.done) {
+    const [operation, ...args] = step.value
+    let result
+    try {
+      result = await operations[operation](...args)
+    } catch (error) {
+      step = generator.throw(error)
+      continue
+    }
+    step = generator.next(result)
+  }
+  return step.value
+}
+
+/**
+ * Check whether a file or directory exists
+ * @param {string} filePath
+ * @returns {Generator<[string, string], boolean, *>}
+ */
+function * exists(filePath) {
+  return (yield ['stat', filePath]) !== undefined
+}
+
+/**
+ * Recursively list token files in a directory, sorted by path.
+ * `$`-prefixed files such as `$themes.json` and `*.resolver.json` documents are not token sets and are skipped.
+ * @param {string} dir
+ * @param {string[]} [extensions] - Token file extensions
+ * @returns {Generator<[string, string], string[], *>}
+ */
+function * findTokenFiles(dir, extensions = DEFAULT_EXTENSIONS) {
+  if (!(yield * exists(dir))) return []
+  const files = []
+  const entries = (yield ['readdir', dir]).sort((a, b) => a.name.localeCompare(b.name))
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...(yield * findTokenFiles(fullPath, extensions)))
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase()) &&
+        !entry.name.startsWith('$') && !entry.name.endsWith(RESOLVER_EXTENSION)) {
+      files.push(fullPath)
+    }
+  }
+  return files
+}
+
+/**
+ * Recursively list a directory and its subdirectories.
+ * Their modification times change when token files are added, removed or renamed.
+ * @param {string} dir
+ * @returns {Generator<[string, string], string[], *>}
+ */
+function * findTokenDirs(dir) {
+  if (!(yield * exists(dir))) return [dir]
+  const dirs = [dir]
+  for (const entry of yield ['readdir', dir]) {
+    if (entry.isDirectory()) dirs.push(...(yield * findTokenDirs(path.join(dir, entry.name))))
+  }
+  return dirs
+}
+
+/**
+ * List the token file extensions used without the `extensions` option. Formats with an optional
+ * parser package only count when it is installed, so an unrelated `.yaml` file next to the tokens
+ * doesn't fail with a missing package.
+ * @param {Object<string, function(string, string): *>} parsers - Custom parsers by extension
+ * @returns {string[]}
+ */
+function defaultExtensions(parsers) {
+  const optional = Object.keys(PARSER_PACKAGES).filter((extension) => parsers[extension] || isInstalled(PARSER_PACKAGES[extension]))
+  const known = [...DEFAULT_EXTENSIONS, ...optional]
+  return [...known, ...Object.keys(parsers).filter((extension) => !known.includes(extension))]
+}
+
+/**
+ * Check whether a package can be loaded
+ * @param {string} packageName
+ * @returns {boolean}
+ */
+function isInstalled(packageName) {
+  try {
+    require.resolve(packageName)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Parse token file source with the parser registered for its extension,
+ * reporting syntax errors with the file path, line, column and a code frame
+ * @param {string} source
+ * @param {string} filePath - Selects the parser and is used in error messages
+ * @param {Object<string, function(string, string): *>} [parsers] - Parsers by extension, overriding the built-in ones
+ * @returns {*}
+ */
+function parseSource(source, filePath, parsers = {}) {
+  const extension = path.extname(filePath).toLowerCase()
+  const label = extension.slice(1).toUpperCase()
+  if (source.trim() === '') {
+    throw new Error(`${label} file ${filePath} is empty`)
+  }
+  const parse = parsers[extension] || builtInParser(extension, filePath)
+  try {
+    return parse(source, filePath)
+  } catch (error) {
+    const location = locateParseError(error, source)
+    if (!location) {
+      throw new Error(`Invalid ${label} in ${filePath}: ${error.message}`, { cause: error })
+    }
+    const { line, column, reason } = location
+    throw new Error(`Invalid ${label} in ${filePath} (${line}:${column}): ${reason}\n\n${codeFrame(source, line, column)}`, { cause: error })
+  }
+}
+
+/**
+ * Get the built-in parser for a file extension, loading its package on first use
+ * @param {string} extension - e.g. `.yaml`
+ * @param {string} filePath - Used in error messages
+ * @returns {function(string): *}
+ */
+function builtInParser(extension, filePath) {
+  if (extension === '.json') return JSON.parse
+  const packageName = PARSER_PACKAGES[extension]
+  if (!packageName) {
+    throw new Error(`No parser for "${extension}" files: ${filePath}`)
+  }
+  try {
+    return require(packageName).parse
+  } catch (error) {
+    throw new Error(`Install the "${packageName}" package to read ${extension} token files: ${filePath}`, { cause: error })
+  }
+}
+
+/**
+ * Find the line and column of a syntax error thrown by `JSON.parse`, `json5` or `yaml`
+ * @param {Error} error
+ * @param {string} source
+ * @returns {{ line: number, column: number, reason: string } | null}
+ */
+function locateParseError(error, source) {
+  if (error.linePos) {
+    const reason = error.message.replace(/ at line \d+, column \d+:[\s\S]*$/, '')
+    return { line: error.linePos[0].line, column: error.linePos[0].col, reason }
+  }
+  if (error.lineNumber && error.columnNumber) {
+    const reason = error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '')
+    return { line: error.lineNumber, column: error.columnNumber, reason }
+  }
+  // V8 reports an offset ("at position 12"), or nothing when the input ends early
+  const match = error.message.match(/ at position (\d+)/)
+  if (!match && !/end of JSON input/.test(error.message)) return null
+  const offset = match ? Number(match[1]) : source.length
+  const linesBefore = source.slice(0, offset).split('\n')
+  return {
+    line: linesBefore.length,
+    column: linesBefore[linesBefore.length - 1].length + 1,
+    reason: error.message.replace(/ in JSON at position \d+.*$/, '')
+  }
+}
+
+/**
+ * Render the lines around a location with a caret under the offending column
+ * @param {string} source
+ * @param {number} line - 1-based
+ * @param {number} column - 1-based
+ * @returns {string}
+ */
+function codeFrame(source, line, column) {
+  const lines = source.split('\n').map((l) => l.replace(/\r$/, ''))
+  const start = Math.max(1, line - 2)
+  const end = Math.min(lines.length, line + 1)
+  const width = String(end).length
+  const frame = []
+  for (let n = start; n <= end; n++) {
+    const text = lines[n - 1]
+    frame.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${text}`)
+    if (n === line) {
+      // Keep tabs so the caret lines up with the source
+      const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ')
+      frame.push(`  ${' '.repeat(width)} | ${padding}^`)
+    }
+  }
+  return frame.join('\n')
+}
+
+/**
+ * Read and parse a JSON, JSON5, JSONC or YAML file
+ * @param {string} filePath
+ * @param {Object<string, function(string, string): *>} [parsers] - Parsers by extension
+ * @param {Map<string, string | null>} [stamps] - Records the file's stamp, taken before reading
+ * so that a save during the read is noticed by the next freshness check
+ * @returns {Generator<[string, string], *, *>}
+ */
+function * readDataFile(filePath, parsers, stamps) {
+  if (!stamps) return parseSource(yield ['readFile', filePath], filePath, parsers)
+  const stamp = yield * fileStamp(filePath)
+  stamps.set(filePath, stamp)
+  return parseSource(yield ['readFile', filePath, stamp], filePath, parsers)
+}
+
+/**
+ * Read, parse and extract tokens from a token file
+ * @param {string} filePath
+ * @param {Object<string, function(string, string): *>} [parsers] - Parsers by extension
+ * @param {Map<string, string | null>} [stamps] - Records the file's stamp, see `readDataFile`
+ * @returns {Generator<[string, string], Array<{path: string[], type: string, value: *}>, *>}
+ */
+function * readTokenFile(filePath, parsers, stamps) {
+  const data = yield * readDataFile(filePath, parsers, stamps)
+  return extractTokens(data, detectFormat(data))
+}
+
+/**
+ * Identify the current version of a file by its modification time and size
+ * @param {string} filePath
+ * @returns {Generator<[string, string], string | null, *>} `null` when the file does not exist
+ */
+function * fileStamp(filePath) {
+  const stats = yield ['stat', filePath]
+  return stats ? `${stats.mtimeMs}:${stats.size}` : null
+}
+
+/**
+ * Record the current version of each file
+ * @param {string[]} files
+ * @returns {Generator<[string, string], Map<string, string | null>, *>}
+ */
+function * stampFiles(files) {
+  const stamps = new Map()
+  for (const file of files) {
+    stamps.set(file, yield * fileStamp(file))
+  }
+  return stamps
+}
+
+/**
+ * Check that none of the stamped files changed since they were recorded
+ * @param {Map<string, string | null>} stamps
+ * @returns {Generator<[string, string], boolean, *>}
+ */
+function * isFresh(stamps) {
+  for (const [file, stamp] of stamps) {
+    if ((yield * fileStamp(file)) !== stamp) return false
+  }
+  return true
+}
+
+/**
+ * Normalize a theme definition to an ordered list of token sets.
+ * Accepts an array of set names (all enabled) or a Tokens Studio
+ * `selectedTokenSets` object mapping set names to `enabled`, `source` or `disabled`.
+ * @param {string[] | Object<string, 'enabled' | 'source' | 'disabled'>} definition
+ * @returns {Array<{name: string, status: 'enabled' | 'source'}>}
+ */
+function normalizeTheme(definition) {
+  if (Array.isArray(definition)) {
+    return definition.map((name) => ({ name, status: 'enabled' }))
+  }
+  return Object.entries(definition)
+    .filter(([, status]) => status !== 'disabled')
+    .map(([name, status]) => ({ name, status: status === 'source' ? 'source' : 'enabled' }))
+}
+
+/**
+ * Read theme definitions from the first Tokens Studio `$themes.json` manifest found
+ * @param {string[]} dirs
+ * @param {Map<string, string | null>} [stamps] - Records the manifest's stamp, see `readDataFile`
+ * @returns {Generator<[string, string], { file: string | null, definitions: Array<[string, object]> }, *>}
+ */
+function * readThemesManifest(dirs, stamps) {
+  for (const dir of dirs) {
+    const manifestPath = path.resolve(dir, THEMES_FILE)
+    if (!(yield * exists(manifestPath))) continue
+    const manifest = yield * readDataFile(manifestPath, undefined, stamps)
+    return {
+      file: manifestPath,
+      definitions: manifest.map((theme) => [theme.name, theme.selectedTokenSets || {}])
+    }
+  }
+  return { file: null, definitions: [] }
+}
+
+/**
+ * Resolve a `#/sets/name` or `#/modifiers/name` JSON Pointer within a resolver document
+ * @param {object} document
+ * @param {string} ref
+ * @returns {{ name: string, kind: 'set' | 'modifier', definition: object }}
+ */
+function resolveResolverRef(document, ref) {
+  const segments = ref.replace(/^#\//, '').split('/').map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+  const [collection, name] = segments
+  const definition = document[collection] && document[collection][name]
+  if (segments.length !== 2 || !definition || (collection !== 'sets' && collection !== 'modifiers')) {
+    throw new Error(`Cannot resolve "${ref}" in resolver document`)
+  }
+  return { name, kind: collection === 'sets' ? 'set' : 'modifier', definition }
+}
+
+/**
+ * List the modifiers of a resolver document in resolution order
+ * @param {object} document
+ * @returns {Array<{ name: string, kind: 'set' | 'modifier', definition: object }>}
+ */
+function resolutionOrder(document) {
+  return (document.resolutionOrder || []).map((item) => {
+    if (item.$ref) return resolveResolverRef(document, item.$ref)
+    return { name: item.name, kind: item.type === 'modifier' ? 'modifier' : 'set', definition: item }
+  })
+}
+
+/**
+ * Validate modifier inputs against a resolver document and fill in defaults
+ * @param {object} document - DTCG resolver document
+ * @param {Object<string, string>} inputs - Modifier values, e.g. `{ theme: 'dark' }`
+ * @returns {Object<string, string>} Inputs for every modifier, sorted by modifier name
+ */
+export function normalizeResolverInputs(document, inputs) {
+  const modifiers = new Map()
+  for (const entry of resolutionOrder(document)) {
+    if (entry.kind === 'modifier') modifiers.set(entry.name, entry.definition)
+  }
+
+  for (const name of Object.keys(inputs)) {
+    if (!modifiers.has(name)) {
+      throw new Error(`Unknown resolver modifier "${name}"`)
+    }
+  }
+
+  const normalized = {}
+  for (const name of [...modifiers.keys()].sort()) {
+    const definition = modifiers.get(name)
+    const contexts = Object.keys(definition.contexts || {})
+    const value = inputs[name] !== undefined ? inputs[name] : definition.default
+    if (value === undefined) {
+      throw new Error(`Missing value for resolver modifier "${name}", expected one of: ${contexts.join(', ')}`)
+    }
+    if (!contexts.includes(value)) {
+      throw new Error(`Invalid value "${value}" for resolver modifier "${name}", expected one of: ${contexts.join(', ')}`)
+    }
+    normalized[name] = value
+  }
+  return normalized
+}
+
+/**
+ * Resolve a DTCG resolver document into a flat token list.
+ * Sources are merged in resolution order, later tokens overriding earlier ones.
+ * @param {object} document - DTCG resolver document
+ * @param {Object<string, string>} inputs - Modifier values, e.g. `{ theme: 'dark' }`
+ * @param {string} baseDir - Directory that source `$ref` paths are relative to
+ * @returns {{ tokens: Array<{path: string[], type: string, value: *, file?: string}>, files: string[] }}
+ */
+export function applyResolver(document, inputs, baseDir) {
+  const { tokens, files } = runSync(readResolverSources(document, inputs, baseDir))
+  return { tokens, files }
+}
+
+/**
+ * Read and merge the sources of a resolver document, see `applyResolver`
+ * @param {object} document
+ * @param {Object<string, string>} inputs
+ * @param {string} baseDir
+ * @param {Object<string, function(string, string): *>} [parsers] - Parsers for source files by extension
+ * @returns {Generator<[string, string], { tokens: Array<{path: string[], type: string, value: *, file?: string}>, files: string[], stamps: Map<string, string | null> }, *>}
+ */
+function * readResolverSources(document, inputs, baseDir, parsers) {
+  const contexts = normalizeResolverInputs(document, inputs)
+  const merged = new Map()
+  const files = []
+  const stamps = new Map()
+
+  function * addSources(sources) {
+    for (const source of sources || []) {
+      let data = source
+      let file
+      if (source.$ref && source.$ref.startsWith('#/')) {
+        yield * addSources(resolveResolverRef(document, source.$ref).definition.sources)
+        continue
+      }
+      if (source.$ref) {
+        file = path.resolve(baseDir, source.$ref)
+        files.push(file)
+        data = yield * readDataFile(file, parsers, stamps)
+      }
+      for (const token of extractTokens(data, detectFormat(data))) {
+        merged.set(token.path.join('.'), file ? { ...token, file } : token)
+      }
+    }
+  }
+
+  for (const entry of resolutionOrder(document)) {
+    if (entry.kind === 'set') {
+      yield * addSources(entry.definition.sources)
+    } else {
+      yield * addSources(entry.definition.contexts[contexts[entry.name]])
+    }
+  }
+
+  return { tokens: [...merged.values()], files, stamps }
+}
+
+/**
+ * Convert a token value to a SCSS string representation
+ * @param {*} value
+ * @param {string} type
+ * @returns {string}
+ */
+export function convertValue(value, type) {
+  switch (type) {
+    case 'color':
+      return convertColor(value)
+    case 'dimension':
+      return convertDimension(value)
+    case 'fontFamily':
+      return convertFontFamily(value)
+    case 'fontWeight':
+      return String(value)
+    case 'duration':
+      return convertDuration(value)
+    case 'cubicBezier':
+      return convertCubicBezier(value)
+    case 'number':
+      return String(value)
+    case 'strokeStyle':
+      return convertStrokeStyle(value)
+    case 'gradient':
+      return convertGradient(value)
+    case 'shadow':
+      return convertShadow(value)
+    case 'typography':
+    case 'border':
+    case 'transition':
+      return convertComposite(value, type)
+    default:
+      return String(value)
+  }
+}
+
+function convertColor(value) {
   if (typeof value === 'string') return value
   if (typeof value === 'object' && value !== null) {
-    return `${value.value}${value.unit}`
+    const { colorSpace, components, alpha } = value
+    if (colorSpace === 'srgb' && Array.isArray(components)) {
+      const [r, g, b] = components
+      if (alpha !== undefined && alpha < 1) {
+        return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`
+      }
+      const toHex = (n) => Math.round(n * 255).toString(16).padStart(2, '0')
+      return `#${toHex(r)}${toHex(g)}${toHex(b)}`
+    }
+    if (colorSpace && Array.isArray(components)) {
+      const a = alpha !== undefined && alpha < 1 ? ` / ${alpha}` : ''
+      const percentages = FUNCTIONAL_COLOR_SPACES[colorSpace]
+      if (percentages) {
+        const coords = components.map((c, i) => percentages[i] && c !== 'none' ? `${c}%` : c)
+        return `${colorSpace}(${coords.join(' ')}${a})`
+      }
+      return `color(${colorSpace} ${components.join(' ')}${a})`
+    }
   }
   return String(value)
 }
 
-function convertCubicBezier(value) {
-  if (Array.isArray(value)) {
-    return `cubic-bezier(${value.join(', ')})`
+/**
+ * Read a hex string or a DTCG color object. `none` components count as zero.
+ * @param {*} value
+ * @returns {{ space: string, coords: number[], alpha: number, hex?: string } | null}
+ */
+function parseColor(value) {
+  if (typeof value === 'string') {
+    const match = value.match(HEX_COLOR_PATTERN)
+    if (!match) return null
+    const digits = match[1].length <= 4 ? [...match[1]].map((digit) => digit + digit).join('') : match[1]
+    const channels = digits.match(/../g).map((pair) => parseInt(pair, 16) / 255)
+    return { space: 'srgb', coords: channels.slice(0, 3), alpha: channels.length === 4 ? channels[3] : 1 }
   }
-  return String(value)
+  if (typeof value !== 'object' || value === null || typeof value.colorSpace !== 'string') return null
+  const hex = typeof value.hex === 'string' && HEX_COLOR_PATTERN.test(value.hex) ? value.hex : undefined
+  if (!Array.isArray(value.components)) {
+    return hex ? { ...parseColor(hex), hex } : null
+  }
+  const coords = value.components.map((c) => c === 'none' ? 0 : c)
+  return { space: value.colorSpace, coords, alpha: isNumber(value.alpha) ? value.alpha : 1, hex }
 }
 
-function convertComposite(value, type) {
-  if (typeof value !== 'object' || value === null) return String(value)
-  const entries = Object.entries(value).map(([k, v]) => {
-    const key = transformCamelCaseToDash(k)
-    const subType = inferSubType(k, type)
-    const converted = convertValue(v, subType)
-    return `  ${key}: ${converted},`
+const srgbToLinear = (c) => Math.abs(c) <= 0.04045 ? c / 12.92 : Math.sign(c) * ((Math.abs(c) + 0.055) / 1.055) ** 2.4
+const linearToSrgb = (c) => Math.abs(c) <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.abs(c) ** (1 / 2.4) - 0.055)
+const multiplyMatrix = (matrix, [a, b, c]) => matrix.map((row) => row[0] * a + row[1] * b + row[2] * c)
+
+function hslToSrgb([h, s, l]) {
+  const saturation = s / 100
+  const lightness = l / 100
+  const channel = (n) => {
+    const k = (n + h / 30) % 12
+    return lightness - saturation * Math.min(lightness, 1 - lightness) * Math.max(-1, Math.min(k - 3, 9 - k, 1))
+  }
+  return [channel(0), channel(8), channel(4)]
+}
+
+function srgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const lightness = (max + min) / 2
+  const delta = max - min
+  if (delta === 0) return [0, 0, lightness * 100]
+  const saturation = lightness === 0 || lightness === 1 ? 0 : (max - lightness) / Math.min(lightness, 1 - lightness)
+  let hue
+  if (max === r) hue = (g - b) / delta + (g < b ? 6 : 0)
+  else if (max === g) hue = (b - r) / delta + 2
+  else hue = (r - g) / delta + 4
+  return [hue * 60, saturation * 100, lightness * 100]
+}
+
+function hwbToSrgb([h, w, b]) {
+  const white = w / 100
+  const black = b / 100
+  if (white + black >= 1) return Array(3).fill(white / (white + black))
+  return hslToSrgb([h, 100, 50]).map((c) => c * (1 - white - black) + white)
+}
+
+function oklabToLinearSrgb([l, a, b]) {
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b
+  ].map((c) => c ** 3)
+  return multiplyMatrix([
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.707614701]
+  ], lms)
+}
+
+function linearSrgbToOklab(rgb) {
+  const lms = multiplyMatrix([
+    [0.4122214708, 0.5363325363, 0.0514459929],
+    [0.2119034982, 0.6806995451, 0.1073969566],
+    [0.0883024619, 0.2817188376, 0.6299787005]
+  ], rgb).map(Math.cbrt)
+  return multiplyMatrix([
+    [0.2104542553, 0.793617785, -0.0040720468],
+    [1.9779984951, -2.428592205, 0.4505937099],
+    [0.0259040371, 0.7827717662, -0.808675766]
+  ], lms)
+}
+
+function oklchToOklab([l, c, h]) {
+  const radians = h * Math.PI / 180
+  return [l, c * Math.cos(radians), c * Math.sin(radians)]
+}
+
+function oklabToOklch([l, a, b]) {
+  const hue = Math.atan2(b, a) * 180 / Math.PI
+  return [l, Math.sqrt(a * a + b * b), hue < 0 ? hue + 360 : hue]
+}
+
+// Conversions of the supported DTCG color spaces to linear-light sRGB, which every conversion goes through
+const TO_LINEAR_SRGB = {
+  srgb: (coords) => coords.map(srgbToLinear),
+  'srgb-linear': (coords) => coords,
+  'display-p3': (coords) => multiplyMatrix(P3_TO_SRGB, coords.map(srgbToLinear)),
+  hsl: (coords) => hslToSrgb(coords).map(srgbToLinear),
+  hwb: (coords) => hwbToSrgb(coords).map(srgbToLinear),
+  oklab: (coords) => oklabToLinearSrgb(coords),
+  oklch: (coords) => oklabToLinearSrgb(oklchToOklab(coords))
+}
+
+/**
+ * Map a color into the sRGB gamut with the CSS Color 4 algorithm, which lowers OKLCH chroma
+ * until clipping changes the color less than a just noticeable difference
+ * @param {number[]} linear - Linear-light sRGB coordinates, possibly out of gamut
+ * @returns {number[]} Gamma-encoded sRGB coordinates in the 0-1 range
+ */
+function gamutMapSrgb(linear) {
+  const isInGamut = (rgb) => rgb.every((c) => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON)
+  const clip = (rgb) => rgb.map((c) => Math.min(1, Math.max(0, c)))
+  const srgb = linear.map(linearToSrgb)
+  if (isInGamut(srgb)) return clip(srgb)
+
+  const [lightness, chroma, hue] = oklabToOklch(linearSrgbToOklab(linear))
+  if (lightness >= 1) return [1, 1, 1]
+  if (lightness <= 0) return [0, 0, 0]
+  const withChroma = (c) => oklabToLinearSrgb(oklchToOklab([lightness, c, hue])).map(linearToSrgb)
+  const deltaEOK = (rgb, c) => {
+    const [l1, a1, b1] = linearSrgbToOklab(rgb.map(srgbToLinear))
+    const [l2, a2, b2] = oklchToOklab([lightness, c, hue])
+    return Math.hypot(l1 - l2, a1 - a2, b1 - b2)
+  }
+
+  let clipped = clip(srgb)
+  if (deltaEOK(clipped, chroma) < GAMUT_JND) return clipped
+  let min = 0
+  let max = chroma
+  let minInGamut = true
+  while (max - min > GAMUT_EPSILON) {
+    const c = (min + max) / 2
+    const current = withChroma(c)
+    if (minInGamut && isInGamut(current)) {
+      min = c
+      continue
+    }
+    clipped = clip(current)
+    const delta = deltaEOK(clipped, c)
+    if (delta < GAMUT_JND) {
+      if (GAMUT_JND - delta < GAMUT_EPSILON) return clipped
+      minInGamut = false
+      min = c
+    } else {
+      max = c
+    }
+  }
+  return clipped
+}
+
+/**
+ * Get a color in sRGB, preferring the DTCG `hex` fallback of colors from other spaces to gamut mapping
+ * @param {{ space: string, coords: number[], hex?: string }} color
+ * @returns {number[] | null} sRGB coordinates in the 0-1 range, or null for unsupported color spaces
+ */
+function srgbCoords(color) {
+  if (color.hex && color.space !== 'srgb') return parseColor(color.hex).coords
+  const toLinear = TO_LINEAR_SRGB[color.space]
+  return toLinear ? gamutMapSrgb(toLinear(color.coords)) : null
+}
+
+/**
+ * Format a color value as CSS in one of the `colorFormat`s. Strings other than hex colors and colors
+ * in unsupported spaces are returned unchanged.
+ * @param {*} value - Color token value
+ * @param {'hex' | 'rgb' | 'hsl' | 'oklch'} format
+ * @returns {*}
+ */
+function formatColor(value, format) {
+  const color = parseColor(value)
+  if (!color || !TO_LINEAR_SRGB[color.space]) return value
+  const round = (n, decimals) => Math.round(n * 10 ** decimals) / 10 ** decimals + 0
+  const alpha = color.alpha < 1 ? ` / ${round(color.alpha, 3)}` : ''
+
+  if (format === 'oklch') {
+    // OKLCH covers every visible color, so wide-gamut colors are kept as they are
+    const [l, c, h] = oklabToOklch(linearSrgbToOklab(TO_LINEAR_SRGB[color.space](color.coords)))
+    const achromatic = c < GAMUT_EPSILON
+    return `oklch(${round(l * 100, 2)}% ${achromatic ? 0 : round(c, 4)} ${achromatic ? 0 : round(h, 2)}${alpha})`
+  }
+
+  const srgb = srgbCoords(color)
+  if (format === 'hsl') {
+    const [h, s, l] = srgbToHsl(srgb)
+    return `hsl(${round(h, 2)} ${round(s, 2)}% ${round(l, 2)}%${alpha})`
+  }
+  const channels = srgb.map((c) => Math.round(c * 255))
+  if (format === 'rgb') return `rgb(${channels.join(' ')}${alpha})`
+  if (typeof value === 'string' && color.alpha === 1 && color.space === 'srgb') return value
+  const toHex = (n) => n.toString(16).padStart(2, '0')
+  return `#${channels.map(toHex).join('')}${color.alpha < 1 ? toHex(Math.round(color.alpha * 255)) : ''}`
+}
+
+/**
+ * Get the sRGB hex fallbacks of color tokens, keyed by token path
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @returns {Map<string, string>}
+ */
+function colorFallbacks(tokens) {
+  const fallbacks = new Map()
+  for (const token of tokens) {
+    if (token.type !== 'color') continue
+    const color = parseColor(token.value)
+    if (color && TO_LINEAR_SRGB[color.space]) fallbacks.set(token.path.join('.'), formatColor(token.value, 'hex'))
+  }
+  return fallbacks
+}
+
+function convertDimension(value) {
+  if (typeof value === 'string') return value
+  if (typeof value === 'object' && value !== null) {
+    return `${value.value}${value.unit}`
+  }
+  return String(value)
+}
+
+function convertFontFamily(value) {
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) {
+    const parts = value.map((f) => {
+      if (GENERIC_FONT_FAMILIES.has(f)) return f
+      return `"${f}"`
+    })
+    return `(${parts.join(', ')})`
+  }
+  return String(value)
+}
+
+function convertDuration(value) {
+  if (typeof value === 'string') return value
+  if (typeof value === 'object' && value !== null) {
+    return `${value.value}${value.unit}`
+  }
+  return String(value)
+}
+
+function convertCubicBezier(value) {
+  if (Array.isArray(value)) {
+    return `cubic-bezier(${value.join(', ')})`
+  }
+  return String(value)
+}
+
+function convertComposite(value, type) {
+  if (typeof value !== 'object' || value === null) return String(value)
+  const entries = Object.entries(value).map(([k, v]) => {
+    const key = transformCamelCaseToDash(k)
+    const subType = inferSubType(k, type)
+    const converted = convertValue(v, subType)
+    return `  ${key}: ${converted},`
+  })
+  return `(\n${entries.join('\n')}\n)`
+}
+
+function convertStrokeStyle(value) {
+  if (typeof value === 'string') return value
+  if (typeof value === 'object' && value !== null) {
+    const entries = []
+    if (Array.isArray(value.dashArray)) {
+      entries.push(`  dash-array: (${value.dashArray.map(convertDimension).join(' ')}),`)
+    }
+    if (value.lineCap !== undefined) {
+      entries.push(`  line-cap: ${value.lineCap},`)
+    }
+    return `(\n${entries.join('\n')}\n)`
+  }
+  return String(value)
+}
+
+function convertGradient(value) {
+  if (!Array.isArray(value)) return String(value)
+  const stops = value.map((stop) => gradientStop(stop, (key) => convertValue(stop[key], COMPOSITE_SUB_TYPES.gradient[key])))
+  return `(${stops.join(', ')})`
+}
+
+// Shadows are `box-shadow` values whether they have one layer or several
+function convertShadow(value) {
+  if (typeof value !== 'object' || value === null) return String(value)
+  if (!Array.isArray(value)) return shadowShorthand(value, (key) => convertValue(value[key], inferSubType(key, 'shadow')))
+  const layers = value.map((layer) => shadowShorthand(layer, (key) => convertValue(layer[key], inferSubType(key, 'shadow'))))
+  return `(${layers.join(', ')})`
+}
+
+/**
+ * Render a gradient stop as `<color> <percentage>`
+ * @param {{ color: *, position: * }} stop
+ * @param {function(string): string} render - Renders the sub-value for a key
+ * @returns {string}
+ */
+function gradientStop(stop, render) {
+  const position = typeof stop.position === 'number'
+    ? `${Number((stop.position * 100).toFixed(4))}%`
+    : `calc(${render('position')} * 100%)`
+  return `${render('color')} ${position}`
+}
+
+/**
+ * Render a shadow layer as a `box-shadow` value
+ * @param {object} layer
+ * @param {function(string): string} render - Renders the sub-value for a key
+ * @returns {string}
+ */
+function shadowShorthand(layer, render) {
+  const parts = SHADOW_SHORTHAND.filter((key) => key in layer).map(render)
+  if (layer.inset === true) parts.unshift('inset')
+  return parts.join(' ')
+}
+
+function inferSubType(key, parentType) {
+  const specTypes = COMPOSITE_SUB_TYPES[parentType]
+  if (specTypes && specTypes[key]) return specTypes[key]
+
+  const keyLower = key.toLowerCase()
+  if (keyLower.includes('color') || keyLower === 'color') return 'color'
+  if (keyLower.includes('family') || keyLower === 'fontfamily') return 'fontFamily'
+  if (keyLower.includes('weight') || keyLower === 'fontweight') return 'fontWeight'
+  if (keyLower.includes('size') || keyLower.includes('width') ||
+      keyLower.includes('height') || keyLower.includes('spacing') ||
+      keyLower.includes('offset') || keyLower.includes('blur') ||
+      keyLower.includes('spread')) return 'dimension'
+  if (keyLower === 'lineheight') return 'number'
+  if (keyLower === 'style') return 'unknown'
+  return 'unknown'
+}
+
+/**
+ * Validate token values against their declared types
+ * @param {Array<{path: string[], type: string, value: *, file?: string}>} tokens - Tokens after alias resolution
+ * @param {{ allowAliases?: boolean, customTypes?: string[] }} [options] - Set `allowAliases` when references were
+ *   deliberately left unresolved. `customTypes` lists types that aren't built in but known, e.g. with a transform.
+ * @returns {Array<{path: string[], reason: string, file?: string}>}
+ */
+export function validateTokens(tokens, options) {
+  const allowAliases = Boolean(options && options.allowAliases)
+  const customTypes = new Set((options && options.customTypes) || [])
+  const diagnostics = []
+  for (const token of tokens) {
+    const reason = validateValue(token.value, token.type, allowAliases, customTypes)
+    if (reason) {
+      diagnostics.push({ path: token.path, reason, file: token.file })
+    }
+  }
+  return diagnostics
+}
+
+function describeValue(value) {
+  return JSON.stringify(value)
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/**
+ * Check a value against a token type
+ * @param {*} value
+ * @param {string} type
+ * @param {boolean} allowAliases
+ * @param {Set<string>} [customTypes] - Types that aren't built in but known, whose values aren't checked
+ * @returns {string | null} The reason the value is invalid, or null
+ */
+function validateValue(value, type, allowAliases, customTypes) {
+  const reference = typeof value === 'string' && value.match(REFERENCE_PATTERN)
+  if (reference) {
+    return allowAliases ? null : `unresolved reference ${reference[0]}`
+  }
+
+  switch (type) {
+    case 'color':
+      if (typeof value === 'string') {
+        if (HEX_COLOR_PATTERN.test(value) || CSS_FUNCTION_PATTERN.test(value) || /^[a-z]+$/i.test(value)) return null
+        return `invalid color ${describeValue(value)}`
+      }
+      if (typeof value === 'object' && value !== null && typeof value.colorSpace === 'string' &&
+          Array.isArray(value.components) && value.components.every((c) => isNumber(c) || c === 'none')) return null
+      return `invalid color ${describeValue(value)}, expected a color string or { colorSpace, components }`
+    case 'dimension':
+      if (value === 0 || value === '0') return null
+      if (typeof value === 'string' && (DIMENSION_PATTERN.test(value) || CSS_FUNCTION_PATTERN.test(value))) return null
+      if (typeof value === 'object' && value !== null && isNumber(value.value) && typeof value.unit === 'string') return null
+      return `invalid dimension ${describeValue(value)}, expected a number with a unit`
+    case 'duration':
+      if (typeof value === 'string' && (DURATION_PATTERN.test(value) || CSS_FUNCTION_PATTERN.test(value))) return null
+      if (typeof value === 'object' && value !== null && isNumber(value.value) && (value.unit === 'ms' || value.unit === 's')) return null
+      return `invalid duration ${describeValue(value)}, expected a number in ms or s`
+    case 'fontFamily':
+      if (typeof value === 'string' && value !== '') return null
+      if (Array.isArray(value) && value.length > 0 && value.every((f) => typeof f === 'string')) return null
+      return `invalid fontFamily ${describeValue(value)}, expected a string or an array of strings`
+    case 'fontWeight':
+      if (isNumber(value) && value >= 1 && value <= 1000) return null
+      if (typeof value === 'string' && FONT_WEIGHT_KEYWORDS.has(value.toLowerCase())) return null
+      return `invalid fontWeight ${describeValue(value)}, expected a number from 1 to 1000 or a weight keyword`
+    case 'number':
+      return isNumber(value) ? null : `invalid number ${describeValue(value)}`
+    case 'cubicBezier':
+      if (typeof value === 'string' && (CSS_FUNCTION_PATTERN.test(value) || /^[a-z-]+$/.test(value))) return null
+      if (Array.isArray(value) && value.length === 4 && value.every(isNumber) &&
+          value[0] >= 0 && value[0] <= 1 && value[2] >= 0 && value[2] <= 1) return null
+      return `invalid cubicBezier ${describeValue(value)}, expected four numbers with x values between 0 and 1`
+    case 'strokeStyle':
+      if (typeof value === 'string') {
+        return STROKE_STYLE_KEYWORDS.has(value) ? null : `invalid strokeStyle ${describeValue(value)}`
+      }
+      if (typeof value === 'object' && value !== null && Array.isArray(value.dashArray) && LINE_CAPS.has(value.lineCap)) {
+        return firstReason(value.dashArray.map((dash) => validateValue(dash, 'dimension', allowAliases)), 'dashArray')
+      }
+      return `invalid strokeStyle ${describeValue(value)}, expected a keyword or { dashArray, lineCap }`
+    case 'gradient':
+      if (!Array.isArray(value)) return `invalid gradient ${describeValue(value)}, expected an array of stops`
+      return firstReason(value.map((stop) => validateComposite(stop, 'gradient', allowAliases)))
+    case 'shadow':
+      if (Array.isArray(value)) {
+        return firstReason(value.map((layer) => validateComposite(layer, 'shadow', allowAliases)))
+      }
+      return validateComposite(value, type, allowAliases)
+    case 'typography':
+    case 'border':
+    case 'transition':
+      return validateComposite(value, type, allowAliases)
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `invalid boolean ${describeValue(value)}`
+    case 'string':
+      return typeof value === 'string' ? null : `invalid string ${describeValue(value)}`
+    case 'unknown':
+      return 'missing $type'
+    default:
+      return customTypes && customTypes.has(type) ? null : `unknown type "${type}"`
+  }
+}
+
+function validateComposite(value, type, allowAliases) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return `invalid ${type} ${describeValue(value)}, expected an object`
+  }
+  const reasons = Object.entries(value).map(([key, subValue]) => {
+    const subType = COMPOSITE_SUB_TYPES[type] && COMPOSITE_SUB_TYPES[type][key]
+    if (!subType) return null
+    const reason = validateValue(subValue, subType, allowAliases)
+    return reason && `${key}: ${reason}`
+  })
+  return firstReason(reasons)
+}
+
+function firstReason(reasons, label) {
+  const reason = reasons.find(Boolean)
+  if (!reason) return null
+  return label ? `${label}: ${reason}` : reason
+}
+
+/**
+ * Make an invalid token emittable in strict warn mode. Unresolved references and objects
+ * that don't fit their type don't parse as Sass values, so they become quoted strings.
+ * @param {{path: string[], type: string, value: *}} token
+ * @returns {{path: string[], type: string, value: *}}
+ */
+function quoteInvalidValue(token) {
+  if (!/\{[^{}]+\}|\[object Object\]/.test(convertValue(token.value, token.type))) return token
+  const text = typeof token.value === 'string' ? token.value : JSON.stringify(token.value)
+  return { ...token, type: 'string', value: sassString(text) }
+}
+
+/**
+ * Quote a string as a Sass string literal
+ * @param {string} value
+ * @returns {string}
+ */
+function sassString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/#\{/g, '\\#{')
+    .replace(/\n/g, '\\a ')
+  return `"${escaped}"`
+}
+
+/**
+ * Generate SCSS content from extracted tokens
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {'variables' | 'map' | 'css'} mode
+ * @param {{ selector?: string, prefix?: string, separator?: string, name?: function(object): string, include?: string | string[], exclude?: string | string[], transforms?: Object<string, string | function(*, object): *>, remBase?: number, precision?: number, colorFormat?: string, colorFallback?: boolean, accessor?: boolean, mixins?: boolean, default?: boolean }} [options]
+ *   Naming, filters, value transforms, color format and composite token mixins for every mode,
+ *   selector and sRGB color fallbacks for the `css` mode,
+ *   `token($path)` accessor function for the `map` mode, `!default` flags for the `variables` and `map` modes
+ * @returns {string}
+ */
+export function generateScss(tokens, mode, options) {
+  options = options || {}
+  const filtered = filterTokens(tokens, options)
+  const emitted = transformTokens(filtered, options)
+  if (emitted.length === 0) return ''
+
+  if (mode === 'map') {
+    return generateScssMap(emitted, options)
+  }
+  if (mode === 'css') {
+    return generateCssProperties(emitted, options, options.colorFallback ? colorFallbacks(filtered) : new Map(), tokens)
+  }
+  return generateScssVariables(emitted, options)
+}
+
+/**
+ * Keep the tokens matching an `include` filter and no `exclude` filter. Filters are dot-path
+ * globs, where `*` matches within a segment and `**` any number of segments, or `$type:<type>`.
+ * A string can hold several filters separated by commas.
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {{ include?: string | string[], exclude?: string | string[] }} options
+ * @returns {Array<{path: string[], type: string, value: *}>}
+ */
+function filterTokens(tokens, options) {
+  const matchers = (filters) => [].concat(filters || [])
+    .flatMap((filter) => filter.split(','))
+    .map((filter) => filter.trim())
+    .filter(Boolean)
+    .map(tokenMatcher)
+  const include = matchers(options.include)
+  const exclude = matchers(options.exclude)
+  if (include.length === 0 && exclude.length === 0) return tokens
+  return tokens.filter((token) => {
+    return (include.length === 0 || include.some((matches) => matches(token))) &&
+      !exclude.some((matches) => matches(token))
+  })
+}
+
+/**
+ * Compile a token filter, see `filterTokens`
+ * @param {string} filter - e.g. `color.**`, `spacing.*` or `$type:color`
+ * @returns {function({path: string[], type: string}): boolean}
+ */
+function tokenMatcher(filter) {
+  if (filter.startsWith('$type:')) {
+    const type = filter.slice('$type:'.length)
+    return (token) => token.type === type
+  }
+  // Paths are matched with a leading dot, so `**` can stand for zero segments anywhere
+  const source = filter.split('.').map((segment) => {
+    if (segment === '**') return '(?:\\.[^.]+)*'
+    return '\\.' + segment.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*')
+  }).join('')
+  const pattern = new RegExp(`^${source}$`)
+  return (token) => pattern.test(`.${token.path.join('.')}`)
+}
+
+/**
+ * Apply value transforms by type, including to the sub-values of composite tokens.
+ * A transform is a function of the value and its token, or the name of a built-in unit
+ * conversion: `rem` or `px` for dimensions, `s` or `ms` for durations. With `precision`,
+ * dimensions, durations and numbers are rounded to that many decimals afterwards. A `colorFormat`
+ * other than `preserve` converts colors after any color transform.
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {{ transforms?: Object<string, string | function(*, object): *>, remBase?: number, precision?: number, colorFormat?: string }} options
+ * @returns {Array<{path: string[], type: string, value: *}>}
+ */
+function transformTokens(tokens, options) {
+  const transforms = valueTransforms(options)
+  if (Object.keys(transforms).length === 0) return tokens
+  return tokens.map((token) => ({ ...token, value: transformValue(token.value, token.type, token, transforms) }))
+}
+
+function valueTransforms(options) {
+  const remBase = options.remBase !== undefined ? options.remBase : DEFAULT_REM_BASE
+  if (!isNumber(remBase) || remBase <= 0) {
+    throw new Error(`Invalid remBase ${describeValue(remBase)}, expected a positive number`)
+  }
+  const transforms = {}
+  for (const [type, transform] of Object.entries(options.transforms || {})) {
+    const units = UNIT_TRANSFORMS[type] || {}
+    if (typeof transform === 'function') {
+      transforms[type] = transform
+    } else if (Object.hasOwn(units, transform)) {
+      transforms[type] = (value) => convertUnit(value, transform, { ...units, rem: remBase })
+    } else {
+      const expected = Object.keys(units).length > 0 ? `a function or one of: ${Object.keys(units).join(', ')}` : 'a function'
+      throw new Error(`Invalid transform ${describeValue(transform)} for type "${type}", expected ${expected}`)
+    }
+  }
+  if (options.colorFormat !== undefined && options.colorFormat !== 'preserve') {
+    const format = options.colorFormat
+    if (!COLOR_FORMATS.includes(format)) {
+      throw new Error(`Invalid colorFormat "${format}", expected one of: ${COLOR_FORMATS.join(', ')}`)
+    }
+    const transform = transforms.color
+    transforms.color = (value, token) => formatColor(transform ? transform(value, token) : value, format)
+  }
+  if (options.precision !== undefined) {
+    const precision = options.precision
+    if (!Number.isInteger(precision) || precision < 0) {
+      throw new Error(`Invalid precision ${describeValue(precision)}, expected a non-negative integer`)
+    }
+    for (const type of ['dimension', 'duration', 'number']) {
+      const transform = transforms[type]
+      transforms[type] = (value, token) => roundValue(transform ? transform(value, token) : value, precision)
+    }
+  }
+  return transforms
+}
+
+function transformValue(value, type, token, transforms) {
+  // References are transformed where their token is defined
+  if (typeof value === 'string' && value.includes('{')) return value
+  if (transforms[type]) value = transforms[type](value, token)
+  if ((type === 'shadow' || type === 'gradient') && Array.isArray(value)) {
+    return value.map((item) => transformValue(item, type, token, transforms))
+  }
+  if ((COMPOSITE_TYPES.has(type) || type === 'gradient') && typeof value === 'object' && value !== null) {
+    const result = {}
+    for (const [key, subValue] of Object.entries(value)) {
+      result[key] = transformValue(subValue, inferSubType(key, type), token, transforms)
+    }
+    return result
+  }
+  return value
+}
+
+/**
+ * Read a dimension or duration given as a DTCG `{ value, unit }` object or a string like `16px`
+ * @param {*} value
+ * @returns {{ value: number, unit: string } | null}
+ */
+function parseMeasure(value) {
+  if (typeof value === 'object' && value !== null && isNumber(value.value) && typeof value.unit === 'string') {
+    return { value: value.value, unit: value.unit }
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(-?(?:\d+\.?\d*|\.\d+))([a-z]+|%)$/i)
+  return match ? { value: Number(match[1]), unit: match[2] } : null
+}
+
+/**
+ * Convert a measure to another unit of the same kind, leaving other units alone
+ * @param {*} value
+ * @param {string} unit - Target unit
+ * @param {Object<string, number>} factors - Size of each unit in the smallest one
+ * @returns {*} A DTCG `{ value, unit }` object, or the value unchanged
+ */
+function convertUnit(value, unit, factors) {
+  const measure = parseMeasure(value)
+  if (!measure || measure.unit === unit || !Object.hasOwn(factors, measure.unit)) return value
+  const converted = measure.value * factors[measure.unit] / factors[unit]
+  return { value: Math.round(converted * 10000) / 10000, unit }
+}
+
+function roundValue(value, precision) {
+  const factor = 10 ** precision
+  const round = (n) => Math.round(n * factor) / factor
+  if (isNumber(value)) return round(value)
+  const measure = parseMeasure(value)
+  if (!measure) return value
+  return typeof value === 'string' ? `${round(measure.value)}${measure.unit}` : { ...value, value: round(measure.value) }
+}
+
+function nameSeparator(options) {
+  const separator = options.separator !== undefined ? options.separator : '-'
+  if (!/^[\w-]*$/.test(separator)) {
+    throw new Error(`Invalid separator "${separator}", expected letters, digits, "_" or "-"`)
+  }
+  return separator
+}
+
+function namePrefix(options) {
+  return options.prefix ? `${sanitizeName(options.prefix)}${nameSeparator(options)}` : ''
+}
+
+/**
+ * Create the function naming tokens in variables, custom properties and mixins: the prefix,
+ * then `options.name(token)` or the sanitized path segments joined by the separator
+ * @param {{ prefix?: string, separator?: string, name?: function(object): string }} options
+ * @returns {function({path: string[]}): string}
+ */
+function createNamer(options) {
+  const prefix = namePrefix(options)
+  const separator = nameSeparator(options)
+  const names = new Map()
+  return (token) => {
+    if (names.has(token)) return names.get(token)
+    let name = token.path.map(sanitizeName).join(separator)
+    if (options.name) {
+      name = options.name(token)
+      if (typeof name !== 'string' || name === '') {
+        throw new Error(`name() returned ${describeValue(name)} for token "${token.path.join('.')}", expected a non-empty string`)
+      }
+    }
+    names.set(token, prefix + name)
+    return prefix + name
+  }
+}
+
+/**
+ * Throw when two tokens generate the same identifier instead of letting one overwrite the other
+ * @param {Array<[string, {path: string[]}]>} entries - Generated identifiers and their tokens
+ */
+function assertUniqueNames(entries) {
+  const owners = new Map()
+  for (const [name, token] of entries) {
+    const owner = owners.get(name)
+    if (owner && owner !== token) {
+      throw new Error(`Token name collision: "${owner.path.join('.')}" and "${token.path.join('.')}" both generate ${name}`)
+    }
+    owners.set(name, token)
+  }
+}
+
+/**
+ * Render a token's description and deprecation as `///` SassDoc comment lines
+ * @param {{ description?: string, deprecated?: true | string }} token
+ * @param {string} [indent]
+ * @returns {string[]}
+ */
+function docComment(token, indent = '') {
+  const lines = token.description
+    ? token.description.split(/\r?\n/).map((line) => `${indent}/// ${line}`.trimEnd())
+    : []
+  if (token.deprecated === true) lines.push(`${indent}/// @deprecated`)
+  if (typeof token.deprecated === 'string') lines.push(`${indent}/// @deprecated ${token.deprecated.replace(/\s*\n\s*/g, ' ')}`)
+  return lines
+}
+
+/**
+ * Build the warning shown when a deprecated token is used
+ * @param {{ path: string[], deprecated: true | string }} token
+ * @returns {string}
+ */
+function deprecationWarning(token) {
+  const message = `Token "${token.path.map(sanitizeName).join('.')}" is deprecated.`
+  return token.deprecated === true ? message : `${message} ${token.deprecated}`
+}
+
+function generateScssVariables(tokens, options) {
+  const name = createNamer(options)
+  assertUniqueNames(tokens.map((token) => [`$${name(token)}`, token]))
+  const flag = options.default ? ' !default' : ''
+  const lines = []
+  for (const token of tokens) {
+    const value = convertValue(token.value, token.type)
+    lines.push(...docComment(token), `$${name(token)}: ${value}${flag};`)
+  }
+  const output = lines.join('\n') + '\n'
+  if (!options.mixins) return output
+  return output + '\n' + generateMixins(tokens, name, renderSubValue)
+}
+
+function generateScssMap(tokens, options) {
+  const prefix = namePrefix(options)
+  const tree = {}
+
+  for (const token of tokens) {
+    let node = tree
+    const keys = token.path.map(sanitizeName)
+    keys.forEach((key, i) => {
+      const isLeaf = i === keys.length - 1
+      const existing = node[key]
+      // A token can't share its key with another token or a group, one would replace the other
+      if (existing && (existing.__token || isLeaf)) {
+        const owner = existing.__token || firstMapToken(existing)
+        const shared = keys.slice(0, i + 1).join('.')
+        throw new Error(`Token name collision: "${owner.path.join('.')}" and "${token.path.join('.')}" both generate map key ${shared}`)
+      }
+      if (isLeaf) {
+        node[key] = { __token: token }
+      } else {
+        if (!existing) node[key] = {}
+        node = node[key]
+      }
+    })
+  }
+
+  const lines = []
+  for (const [topKey, subtree] of Object.entries(tree)) {
+    const variable = `$${prefix}${topKey}`
+    if (subtree.__token) {
+      const token = subtree.__token
+      const value = convertValue(token.value, token.type)
+      lines.push([...docComment(token), `${variable}: ${value}${options.default ? ' !default' : ''};`].join('\n'))
+    } else if (options.default) {
+      // A configured map is deep-merged into the tokens, so it can override single entries.
+      // Anything else would fail inside map.deep-merge() with an error that doesn't name the variable.
+      lines.push([
+        `${variable}: () !default;`,
+        `@if ${variable} != () and meta.type-of(${variable}) != map {`,
+        `  @error ${sassString(`${variable} must be configured with a map of tokens, got `)} + meta.inspect(${variable});`,
+        '}',
+        `${variable}: map.deep-merge(${renderMapNode(subtree, 1)}, ${variable});`
+      ].join('\n'))
+    } else {
+      const mapContent = renderMapNode(subtree, 1)
+      lines.push(`${variable}: ${mapContent};`)
+    }
+  }
+
+  if (options.mixins) {
+    lines.push(generateMixins(tokens, createNamer(options), renderSubValue).trimEnd())
+  }
+
+  if (options.accessor) {
+    const entries = Object.keys(tree).map((topKey) => `  ${topKey}: $${prefix}${topKey},`)
+    const deprecated = tokens.filter((token) => token.deprecated).map((token) => {
+      return `  ${sassString(token.path.map(sanitizeName).join('.'))}: ${sassString(deprecationWarning(token))},`
+    })
+    lines.unshift(TOKEN_ACCESSOR_MODULES)
+    lines.push(
+      `$-tokens: (\n${entries.join('\n')}\n);`,
+      deprecated.length > 0 ? `$-deprecated: (\n${deprecated.join('\n')}\n);` : '$-deprecated: ();',
+      TOKEN_ACCESSOR_FUNCTIONS
+    )
+  } else if (options.default && Object.values(tree).some((subtree) => !subtree.__token)) {
+    lines.unshift('@use "sass:map";\n@use "sass:meta";')
+  }
+
+  return lines.join('\n\n') + '\n'
+}
+
+function firstMapToken(node) {
+  return node.__token || firstMapToken(Object.values(node)[0])
+}
+
+const TOKEN_ACCESSOR_MODULES = `@use "sass:list";
+@use "sass:map";
+@use "sass:math";
+@use "sass:meta";
+@use "sass:string";`
+
+// Map keys are compared through meta.inspect(), so numeric keys such as `100` match "100"
+const TOKEN_ACCESSOR_FUNCTIONS = `@function -split($string, $separator) {
+  $parts: ();
+  $index: string.index($string, $separator);
+  @while $index {
+    $parts: list.append($parts, string.slice($string, 1, $index - 1));
+    $string: string.slice($string, $index + 1);
+    $index: string.index($string, $separator);
+  }
+  @return list.append($parts, $string);
+}
+
+@function -join($segments) {
+  $result: '';
+  @each $segment in $segments {
+    @if $result != '' {
+      $result: $result + '.';
+    }
+    $result: $result + $segment;
+  }
+  @return $result;
+}
+
+@function -find-key($map, $name) {
+  @each $key in map.keys($map) {
+    @if meta.inspect($key) == $name {
+      @return $key;
+    }
+  }
+  @return null;
+}
+
+@function -distance($a, $b) {
+  $a-length: string.length($a);
+  $b-length: string.length($b);
+  $previous: ();
+  @for $j from 0 through $b-length {
+    $previous: list.append($previous, $j);
+  }
+  @for $i from 1 through $a-length {
+    $current: ($i,);
+    @for $j from 1 through $b-length {
+      $cost: 1;
+      @if string.slice($a, $i, $i) == string.slice($b, $j, $j) {
+        $cost: 0;
+      }
+      $current: list.append($current, math.min(
+        list.nth($previous, $j + 1) + 1,
+        list.nth($current, $j) + 1,
+        list.nth($previous, $j) + $cost
+      ));
+    }
+    $previous: $current;
+  }
+  @return list.nth($previous, $b-length + 1);
+}
+
+@function -unknown-token($path, $node, $segment, $walked) {
+  $message: 'Unknown token "#{$path}".';
+  @if meta.type-of($node) != 'map' {
+    @return '#{$message} "#{-join($walked)}" is a token value, not a group.';
+  }
+  $best: null;
+  $best-distance: null;
+  $keys: ();
+  @each $key in map.keys($node) {
+    $name: meta.inspect($key);
+    $keys: list.append($keys, $name, $separator: comma);
+    $distance: -distance($segment, $name);
+    @if $best-distance == null or $distance < $best-distance {
+      $best: $name;
+      $best-distance: $distance;
+    }
+  }
+  @if $best-distance != null and $best-distance <= math.max(2, math.div(string.length($segment), 3)) {
+    @return '#{$message} Did you mean "#{-join(list.append($walked, $best))}"?';
+  }
+  @return '#{$message} Available keys: #{$keys}';
+}
+
+/// Look up a token by its dot-separated path, e.g. token("color.primary").
+/// Warns when the token is deprecated.
+/// @param {String} $path
+/// @return {*}
+@function token($path) {
+  $node: $-tokens;
+  $walked: ();
+  @each $segment in -split($path, '.') {
+    $key: null;
+    @if meta.type-of($node) == 'map' {
+      $key: -find-key($node, $segment);
+    }
+    @if $key == null {
+      @error -unknown-token($path, $node, $segment, $walked);
+    }
+    $node: map.get($node, $key);
+    $walked: list.append($walked, $segment);
+  }
+  @if map.has-key($-deprecated, $path) {
+    @warn map.get($-deprecated, $path);
+  }
+  @return $node;
+}`
+
+function renderMapNode(node, depth) {
+  const indent = '  '.repeat(depth)
+  const entries = []
+
+  for (const [key, child] of Object.entries(node)) {
+    if (child.__token) {
+      const token = child.__token
+      const value = convertValue(token.value, token.type)
+      entries.push(...docComment(token, indent), `${indent}${key}: ${value},`)
+    } else {
+      const nested = renderMapNode(child, depth + 1)
+      entries.push(`${indent}${key}: ${nested},`)
+    }
+  }
+
+  const outerIndent = '  '.repeat(depth - 1)
+  return `(\n${entries.join('\n')}\n${outerIndent})`
+}
+
+/**
+ * Generate a block of custom properties. Color tokens with a fallback that are written with a
+ * wide-gamut color function get the fallback, and their value in an `@supports` block.
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {object} options
+ * @param {Map<string, string>} fallbacks - sRGB fallbacks of color tokens by path
+ * @param {Array<{path: string[], type: string, value: *}>} [moduleTokens] - Every token of the module, before filtering
+ * @returns {string}
+ */
+function generateCssProperties(tokens, options, fallbacks, moduleTokens = []) {
+  const selector = options.selector || ':root'
+  const name = createNamer(options)
+  const separator = nameSeparator(options)
+  // References to filtered tokens are named from their entry, like the emitted ones, so `name()` sees the
+  // same token either way. References to tokens of other modules only have a path to be named by.
+  const byPath = new Map([...moduleTokens, ...tokens].map((token) => [token.path.join('.'), token]))
+  const propertyName = (segments) => `--${name(byPath.get(segments.join('.')) || { path: segments })}`
+  const subPropertyName = (token, key) => `--${name(token)}${separator}${sanitizeName(key)}`
+
+  // Math on references is only wrapped in `calc()` in Tokens Studio tokens, other strings keep their literal form
+  function convertCssValue(value, type, math) {
+    if (typeof value === 'string') {
+      const aliasMatch = value.match(ALIAS_PATTERN)
+      if (aliasMatch) return `var(${propertyName(aliasMatch[1].split('.'))})`
+      if (value.includes('{')) {
+        const embedded = value.replace(REFERENCE_PATTERN, (match, refPath) => `var(${propertyName(refPath.split('.'))})`)
+        return !math || evaluateMath(value.replace(REFERENCE_PATTERN, '1')) === null ? embedded : `calc(${embedded})`
+      }
+    }
+    if (type === 'fontFamily' && Array.isArray(value)) {
+      return value.map((f) => {
+        if (ALIAS_PATTERN.test(f)) return convertCssValue(f, type, math)
+        return GENERIC_FONT_FAMILIES.has(f) ? f : `"${f}"`
+      }).join(', ')
+    }
+    if (type === 'cubicBezier' && Array.isArray(value)) {
+      return convertValue(value.map((component) => convertCssValue(component, 'number', math)), type)
+    }
+    if (type === 'shadow' && typeof value === 'object' && value !== null) {
+      const layers = Array.isArray(value) ? value : [value]
+      return layers.map((layer) => shadowShorthand(layer, (key) => convertCssValue(layer[key], inferSubType(key, 'shadow'), math))).join(', ')
+    }
+    if (type === 'gradient' && Array.isArray(value)) {
+      return value.map((stop) => gradientStop(stop, (key) => convertCssValue(stop[key], COMPOSITE_SUB_TYPES.gradient[key], math))).join(', ')
+    }
+    return convertValue(value, type)
+  }
+
+  assertUniqueNames(tokens.flatMap((token) => {
+    if (!isCompositeObject(token)) return [[`--${name(token)}`, token]]
+    return Object.keys(token.value).map((key) => [subPropertyName(token, key), token])
+  }))
+
+  const lines = []
+  const supports = new Map()
+  const warnings = []
+  for (const token of tokens) {
+    lines.push(...docComment(token, '  '))
+    if (isCompositeObject(token)) {
+      for (const [k, v] of Object.entries(token.value)) {
+        const subType = inferSubType(k, token.type)
+        if (subType === 'strokeStyle' && isStrokeStyleObject(v)) {
+          warnings.push(strokeStyleWarning(token))
+          continue
+        }
+        lines.push(`  ${subPropertyName(token, k)}: ${convertCssValue(v, subType, token.math)};`)
+      }
+      continue
+    }
+    if (token.type === 'strokeStyle' && isStrokeStyleObject(token.value)) {
+      warnings.push(strokeStyleWarning(token))
+      continue
+    }
+    const value = convertCssValue(token.value, token.type, token.math)
+    const colorFunction = value.match(/^([a-z]+)\(/)
+    const fallback = fallbacks.get(token.path.join('.'))
+    if (fallback && colorFunction && COLOR_SUPPORTS_TESTS[colorFunction[1]]) {
+      const test = COLOR_SUPPORTS_TESTS[colorFunction[1]]
+      supports.set(test, [...(supports.get(test) || []), `    --${name(token)}: ${value};`])
+      lines.push(`  --${name(token)}: ${fallback};`)
+    } else {
+      lines.push(`  --${name(token)}: ${value};`)
+    }
+  }
+  let output = `${selector} {\n${lines.join('\n')}\n}\n`
+  for (const [test, declarations] of supports) {
+    output += `\n@supports (color: ${test}) {\n  ${selector} {\n${declarations.join('\n')}\n  }\n}\n`
+  }
+  output += warnings.map((warning) => `@warn ${sassString(warning)};\n`).join('')
+  if (!options.mixins) return output
+  return output + '\n' + generateMixins(tokens, name, (token, key) => {
+    if (key === undefined) return `var(--${name(token)})`
+    return `var(${subPropertyName(token, key)})`
   })
-  return `(\n${entries.join('\n')}\n)`
 }
 
-function inferSubType(key, parentType) {
-  const keyLower = key.toLowerCase()
-  if (keyLower.includes('color') || keyLower === 'color') return 'color'
-  if (keyLower.includes('family') || keyLower === 'fontfamily') return 'fontFamily'
-  if (keyLower.includes('weight') || keyLower === 'fontweight') return 'fontWeight'
-  if (keyLower.includes('size') || keyLower.includes('width') ||
-      keyLower.includes('height') || keyLower.includes('spacing') ||
-      keyLower.includes('offset') || keyLower.includes('blur') ||
-      keyLower.includes('spread')) return 'dimension'
-  if (keyLower === 'lineheight') return 'number'
-  if (keyLower === 'style') return 'unknown'
-  return 'unknown'
+/**
+ * Check whether a token is a composite with an object value that is emitted key by key.
+ * Shadows are always emitted whole, as `box-shadow` values.
+ * @param {{ type: string, value: * }} token
+ * @returns {boolean}
+ */
+function isCompositeObject(token) {
+  return COMPOSITE_TYPES.has(token.type) && token.type !== 'shadow' &&
+    typeof token.value === 'object' && token.value !== null && !Array.isArray(token.value)
 }
 
 /**
- * Generate SCSS content from extracted tokens
- * @param {Array<{path: string[], type: string, value: *}>} tokens
- * @param {'variables' | 'map'} mode
+ * Render a composite token's sub-value, or the whole value when no key is given
+ * @param {{ type: string, value: * }} token
+ * @param {string} [key]
  * @returns {string}
  */
-export function generateScss(tokens, mode) {
-  if (tokens.length === 0) return ''
+function renderSubValue(token, key) {
+  if (key === undefined) return convertValue(token.value, token.type)
+  return convertValue(token.value[key], inferSubType(key, token.type))
+}
 
-  if (mode === 'map') {
-    return generateScssMap(tokens)
+/**
+ * Expand a composite token value into CSS declarations
+ * @param {object | Array} value - Composite token value
+ * @param {string} type - `typography`, `transition`, `border` or `shadow`
+ * @param {function(string=): string} render - Renders the sub-value for a key, or the whole value without one
+ * @returns {Array<[string, string]>} Property/value pairs
+ */
+function compositeDeclarations(value, type, render) {
+  if (type === 'typography') {
+    return Object.keys(value).map((key) => [TYPOGRAPHY_PROPERTIES[key] || transformCamelCaseToDash(key), render(key)])
+  }
+  if (type === 'transition') {
+    return Object.keys(value)
+      .filter((key) => TRANSITION_PROPERTIES[key])
+      .map((key) => [TRANSITION_PROPERTIES[key], render(key)])
   }
-  return generateScssVariables(tokens)
+  if (type === 'border') {
+    return [['border', BORDER_SHORTHAND.filter((key) => key in value).map(render).join(' ')]]
+  }
+  return [['box-shadow', render()]]
 }
 
-function generateScssVariables(tokens) {
-  const lines = []
-  for (const token of tokens) {
-    const name = token.path.map(sanitizeName).join('-')
-    const value = convertValue(token.value, token.type)
-    lines.push(`$${name}: ${value};`)
-  }
-  return lines.join('\n') + '\n'
+/**
+ * Check whether a strokeStyle value is a `{ dashArray, lineCap }` object, which has no CSS equivalent
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStrokeStyleObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
 }
 
-function generateScssMap(tokens) {
-  const tree = {}
+/**
+ * Describe a token whose strokeStyle object can't be emitted as CSS
+ * @param {{ path: string[] }} token
+ * @returns {string}
+ */
+function strokeStyleWarning(token) {
+  return `Token "${token.path.join('.')}" has a strokeStyle object, which CSS can't express. Use a keyword such as "dashed" instead.`
+}
 
+/**
+ * Generate a mixin per composite token that spreads its value into declarations.
+ * Mixins of deprecated tokens `@warn` when included.
+ * @param {Array<{path: string[], type: string, value: *}>} tokens
+ * @param {function(object): string} name - Names a token, see `createNamer`
+ * @param {function(object, string=): string} render - Renders a sub-value of a token by key, or its whole value
+ * @returns {string}
+ */
+function generateMixins(tokens, name, render) {
+  const mixins = []
   for (const token of tokens) {
-    let node = tree
-    for (let i = 0; i < token.path.length - 1; i++) {
-      const key = sanitizeName(token.path[i])
-      if (!(key in node)) node[key] = {}
-      node = node[key]
-    }
-    const leafKey = sanitizeName(token.path[token.path.length - 1])
-    node[leafKey] = { __token: token }
+    const isShadow = token.type === 'shadow' && typeof token.value === 'object' && token.value !== null
+    if (!isCompositeObject(token) && !isShadow) continue
+    // A border with a strokeStyle object has no shorthand, so the mixin fails only when it is used
+    const declarations = token.type === 'border' && isStrokeStyleObject(token.value.style)
+      ? [`  @error ${sassString(strokeStyleWarning(token))};`]
+      : compositeDeclarations(token.value, token.type, (key) => render(token, key)).map(([property, value]) => `  ${property}: ${value};`)
+    if (token.deprecated) declarations.unshift(`  @warn ${sassString(deprecationWarning(token))};`)
+    mixins.push([...docComment(token), `@mixin ${name(token)} {`, ...declarations, '}'].join('\n'))
   }
+  return mixins.length > 0 ? mixins.join('\n\n') + '\n' : ''
+}
 
-  const lines = []
-  for (const [topKey, subtree] of Object.entries(tree)) {
-    if (subtree.__token) {
-      const token = subtree.__token
-      const value = convertValue(token.value, token.type)
-      lines.push(`$${topKey}: ${value};`)
+/**
+ * Split the query of a `token:` URL into importer option overrides and other parameters
+ * @param {string} [query] - Query string without the leading `?`
+ * @returns {{ overrides: Object<string, string>, params: Object<string, string> }}
+ */
+function parseImportQuery(query) {
+  const overrides = {}
+  const params = {}
+  for (const [key, value] of new URLSearchParams(query)) {
+    if (IMPORT_OPTIONS.includes(key)) {
+      overrides[key] = value
     } else {
-      const mapContent = renderMapNode(subtree, 1)
-      lines.push(`$${topKey}: ${mapContent};`)
+      params[key] = value
     }
   }
-
-  return lines.join('\n\n') + '\n'
-}
-
-function renderMapNode(node, depth) {
-  const indent = '  '.repeat(depth)
-  const entries = []
-
-  for (const [key, child] of Object.entries(node)) {
-    if (child.__token) {
-      const token = child.__token
-      const value = convertValue(token.value, token.type)
-      entries.push(`${indent}${key}: ${value},`)
-    } else {
-      const nested = renderMapNode(child, depth + 1)
-      entries.push(`${indent}${key}: ${nested},`)
+  if (overrides.output !== undefined && !OUTPUT_MODES.includes(overrides.output)) {
+    throw new Error(`Invalid output "${overrides.output}", expected one of: ${OUTPUT_MODES.join(', ')}`)
+  }
+  if (overrides.strict !== undefined && !STRICT_LEVELS.includes(overrides.strict)) {
+    throw new Error(`Invalid strict "${overrides.strict}", expected one of: ${STRICT_LEVELS.join(', ')}`)
+  }
+  if (overrides.colorFormat !== undefined && !COLOR_FORMATS.includes(overrides.colorFormat)) {
+    throw new Error(`Invalid colorFormat "${overrides.colorFormat}", expected one of: ${COLOR_FORMATS.join(', ')}`)
+  }
+  for (const key of BOOLEAN_IMPORT_OPTIONS) {
+    if (overrides[key] !== undefined && overrides[key] !== 'true' && overrides[key] !== 'false') {
+      throw new Error(`Invalid ${key} "${overrides[key]}", expected true or false`)
     }
   }
+  nameSeparator(overrides)
+  return { overrides, params }
+}
 
-  const outerIndent = '  '.repeat(depth - 1)
-  return `(\n${entries.join('\n')}\n${outerIndent})`
+/**
+ * Format query parameters with sorted keys, so equivalent imports share a canonical URL
+ * @param {Object<string, string>} params
+ * @returns {string} Query string including the leading `?`, or an empty string
+ */
+function formatImportQuery(params) {
+  const keys = Object.keys(params).sort()
+  if (keys.length === 0) return ''
+  return `?${new URLSearchParams(keys.map((key) => [key, params[key]])).toString()}`
 }
 
 /**
- * Create a Dart Sass Importer for JSON design tokens
- * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
- * @param {{ output?: 'variables' | 'map', resolveAliases?: boolean }} [options]
- * @returns {import('sass').Importer<'sync'>}
+ * Create the shared state and operations of the sync and async importers.
+ * `canonicalize` and `load` are generators yielding file system operations.
+ * @param {string | string[]} tokenPaths
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {{ canonicalize: function(string, string=): Generator, load: function(URL): Generator, invalidate: function(string): void, clearCache: function(): void, dependencies: function(URL): string[], isTokenFile: function(string): boolean, listTokenFiles: function(): Generator }}
  */
-export function sassTokenImporter(tokenPaths, options) {
+function createTokenImporter(tokenPaths, options) {
   const paths = Array.isArray(tokenPaths) ? tokenPaths : [tokenPaths]
   const resolvedPaths = paths.map((p) => path.resolve(p))
   const mode = (options && options.output) || 'variables'
   const shouldResolveAliases = options && options.resolveAliases !== undefined ? options.resolveAliases : true
+  const outputOptions = {
+    selector: options && options.selector,
+    prefix: options && options.prefix,
+    separator: options && options.separator,
+    name: options && options.name,
+    include: options && options.include,
+    exclude: options && options.exclude,
+    transforms: options && options.transforms,
+    remBase: options && options.remBase,
+    precision: options && options.precision,
+    colorFormat: options && options.colorFormat,
+    colorFallback: Boolean(options && options.colorFallback),
+    accessor: Boolean(options && options.accessor),
+    mixins: Boolean(options && options.mixins),
+    default: Boolean(options && options.default)
+  }
+  const strict = options && options.strict ? (options.strict === 'warn' ? 'warn' : 'error') : false
+  const indexFiles = options && options.files ? options.files.map((f) => path.resolve(f)) : null
+  const parsers = (options && options.parsers) || {}
+  const extensions = (options && options.extensions) || defaultExtensions(parsers)
+  // Every cached entry records the stamps of the files it was built from and is rebuilt once one of them changes.
+  // Stamps are taken before reading, so a save while a file is read leaves a stale stamp rather than stale contents.
   const cache = new Map()
+  let tokenIndex = null
+  let themes = null
+  let resolver = null
+  let figmaExports = null
+  // Bumped by invalidate() and clearCache(). The loaders yield to the event loop in the async
+  // importer, so they hold on to what they read and only cache it when no invalidation happened meanwhile.
+  let generation = 0
+  // Directories stamped by the token index to notice added and removed files, not dependencies themselves
+  const indexDirs = new Set()
+
+  /**
+   * Lazily build the global token index used for cross-file alias resolution.
+   * The index is rebuilt when a token file is added, removed or changed. Files that
+   * fail to load are skipped, so an unrelated file can't break every module.
+   * @returns {Generator<[string, string], { tokens: Array<{path: string[], type: string, value: *, file: string}>, skipped: Array<{file: string, error: Error}>, stamps: Map<string, string | null> }, *>}
+   */
+  function * getTokenIndex() {
+    const current = tokenIndex
+    if (current && (yield * isFresh(current.stamps))) return current
+    const started = generation
+    // Directories are stamped before listing them to notice files added in the meantime
+    const dirs = []
+    if (!indexFiles) {
+      for (const dir of resolvedPaths) dirs.push(...(yield * findTokenDirs(dir)))
+    }
+    for (const dir of dirs) indexDirs.add(dir)
+    const stamps = yield * stampFiles(dirs)
+    const files = indexFiles ? [...indexFiles] : []
+    if (!indexFiles) {
+      for (const dir of resolvedPaths) files.push(...(yield * findTokenFiles(dir, extensions)))
+    }
+    const tokens = []
+    const skipped = []
+    for (const file of files) {
+      let fileTokens
+      try {
+        fileTokens = yield * readTokenFile(file, parsers, stamps)
+      } catch (error) {
+        skipped.push({ file, error })
+        continue
+      }
+      for (const token of fileTokens) {
+        tokens.push({ ...token, file })
+      }
+    }
+    const index = { tokens, skipped, stamps }
+    if (started === generation) tokenIndex = index
+    return index
+  }
+
+  /**
+   * Lazily read theme definitions from options or a `$themes.json` manifest
+   * @returns {Generator<[string, string], { definitions: Map<string, Array<{name: string, status: 'enabled' | 'source'}>>, file: string | null, stamps: Map<string, string | null> }, *>}
+   */
+  function * getThemes() {
+    const current = themes
+    if (current && (yield * isFresh(current.stamps))) return current
+    const started = generation
+    const stamps = new Map()
+    const { file, definitions } = options && options.themes
+      ? { file: null, definitions: Object.entries(options.themes) }
+      : yield * readThemesManifest(resolvedPaths, stamps)
+    const state = {
+      definitions: new Map(definitions.map(([name, definition]) => [name, normalizeTheme(definition)])),
+      file,
+      stamps
+    }
+    if (started === generation) themes = state
+    return state
+  }
+
+  /**
+   * Lazily find the Figma Variables exports among the token files
+   * @returns {Generator<[string, string], Array<{ file: string, data: object, stamp: string | null }>, *>}
+   */
+  function * getFigmaExports() {
+    const current = figmaExports
+    if (current && (yield * isFresh(current.stamps))) return current.exports
+    const started = generation
+    const dirs = []
+    for (const dir of resolvedPaths) dirs.push(...(yield * findTokenDirs(dir)))
+    const stamps = yield * stampFiles(dirs)
+    const files = []
+    for (const dir of resolvedPaths) files.push(...(yield * findTokenFiles(dir, extensions)))
+    const exports = []
+    for (const file of files) {
+      const stamp = yield * fileStamp(file)
+      stamps.set(file, stamp)
+      const source = yield ['readFile', file, stamp]
+      // Only files that look like Figma exports are parsed, so a malformed token file elsewhere doesn't break Figma imports
+      if (!source.includes('variableCollections')) continue
+      const data = parseSource(source, file, parsers)
+      if (detectFormat(data) === 'figma') exports.push({ file, data, stamp })
+    }
+    if (started === generation) figmaExports = { exports, stamps }
+    return exports
+  }
+
+  /**
+   * Find the Figma export defining a variable collection
+   * @param {string} name - Collection name
+   * @returns {Generator<[string, string], { file: string, data: object, stamp: string | null, collection: { name: string, modes: string[], defaultMode: string } } | null, *>}
+   */
+  function * findFigmaCollection(name) {
+    for (const { file, data, stamp } of yield * getFigmaExports()) {
+      const collection = figmaCollections(data).find((c) => c.name === name)
+      if (collection) return { file, data, stamp, collection }
+    }
+    return null
+  }
+
+  /**
+   * Lazily read the resolver document from options
+   * @returns {Generator<[string, string], { document: object, baseDir: string, file: string | null, stamps: Map<string, string | null> } | null, *>}
+   */
+  function * getResolver() {
+    if (!options || !options.resolver) return null
+    const current = resolver
+    if (current && (yield * isFresh(current.stamps))) return current
+    if (typeof options.resolver !== 'string') {
+      resolver = { document: options.resolver, baseDir: resolvedPaths[0], file: null, stamps: new Map() }
+      return resolver
+    }
+    const started = generation
+    const resolverPath = path.resolve(options.resolver)
+    const stamps = new Map()
+    const state = {
+      document: yield * readDataFile(resolverPath, parsers, stamps),
+      baseDir: path.dirname(resolverPath),
+      file: resolverPath,
+      stamps
+    }
+    if (started === generation) resolver = state
+    return state
+  }
+
+  /**
+   * Find a token file by name in the token directories, trying each extension in order
+   * @param {string} name - File name with or without extension, e.g. `semantic/dark`
+   * @param {string[]} [dirs] - Directories to search instead of the token directories
+   * @returns {Generator<[string, string], string | null, *>}
+   */
+  function * findTokenFile(name, dirs = resolvedPaths) {
+    const candidates = extensions.includes(path.extname(name).toLowerCase())
+      ? [name]
+      : extensions.map((extension) => `${name}${extension}`)
+    for (const tokenDir of dirs) {
+      for (const candidate of candidates) {
+        const filePath = path.join(tokenDir, candidate)
+        if (yield * exists(filePath)) {
+          return path.resolve(filePath)
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Apply per-import option overrides to the importer options
+   * @param {Object<string, string>} overrides - Options parsed from the module URL query
+   * @returns {{ mode: string, resolveAliases: boolean, strict: false | 'error' | 'warn', outputOptions: { selector?: string, prefix?: string, separator?: string, name?: function(object): string, include?: string | string[], exclude?: string | string[], transforms?: object, remBase?: number, precision?: number, colorFormat?: string, colorFallback: boolean, accessor: boolean, mixins: boolean, default: boolean } }}
+   */
+  function getSettings(overrides) {
+    const strictOverride = overrides.strict === 'true' ? 'error' : overrides.strict
+    return {
+      strict: strictOverride !== undefined ? (strictOverride !== 'false' && strictOverride) : strict,
+      mode: overrides.output !== undefined ? overrides.output : mode,
+      resolveAliases: overrides.resolveAliases !== undefined ? overrides.resolveAliases === 'true' : shouldResolveAliases,
+      outputOptions: {
+        selector: overrides.selector !== undefined ? overrides.selector : outputOptions.selector,
+        prefix: overrides.prefix !== undefined ? overrides.prefix : outputOptions.prefix,
+        separator: overrides.separator !== undefined ? overrides.separator : outputOptions.separator,
+        name: outputOptions.name,
+        include: overrides.include !== undefined ? overrides.include : outputOptions.include,
+        exclude: overrides.exclude !== undefined ? overrides.exclude : outputOptions.exclude,
+        transforms: outputOptions.transforms,
+        remBase: outputOptions.remBase,
+        precision: outputOptions.precision,
+        colorFormat: overrides.colorFormat !== undefined ? overrides.colorFormat : outputOptions.colorFormat,
+        colorFallback: overrides.colorFallback !== undefined ? overrides.colorFallback === 'true' : outputOptions.colorFallback,
+        accessor: overrides.accessor !== undefined ? overrides.accessor === 'true' : outputOptions.accessor,
+        mixins: overrides.mixins !== undefined ? overrides.mixins === 'true' : outputOptions.mixins,
+        default: overrides.default !== undefined ? overrides.default === 'true' : outputOptions.default
+      }
+    }
+  }
+
+  /**
+   * Resolve aliases and generate SCSS for a module
+   * @param {Array<{path: string[], type: string, value: *}>} tokens - Tokens to emit
+   * @param {Array<{path: string[], type: string, value: *}>} referenceTokens - Tokens used for lookup only
+   * @param {string[]} ownFiles - Files the module was built from, excluded from the global index
+   * @param {Map<string, string | null>} stamps - Stamps of the files read so far, extended with the token files aliases resolve to
+   * @param {{ mode: string, resolveAliases: boolean, strict: false | 'error' | 'warn', outputOptions: object }} settings
+   * @returns {Generator<[string, string], { contents: string, stamps: Map<string, string | null> }, *>} The SCSS and the stamps of every file it depends on
+   */
+  function * compileTokens(tokens, referenceTokens, ownFiles, stamps, settings) {
+    let resolvedTokens = tokens
+    if (settings.resolveAliases) {
+      let skipped = []
+      let index = null
+      if (findUndefinedReference([...tokens, ...referenceTokens]) !== null) {
+        index = yield * getTokenIndex()
+        const indexTokens = index.tokens.filter((token) => !ownFiles.includes(token.file))
+        referenceTokens = [...referenceTokens, ...indexTokens]
+        // Only the files defining referenced tokens are dependencies, not the whole index
+        for (const file of findReferencedFiles(tokens, indexTokens)) {
+          stamps.set(file, index.stamps.get(file))
+        }
+        skipped = index.skipped.filter((entry) => !ownFiles.includes(entry.file))
+      }
+      if (settings.mode === 'css') {
+        // Aliases become var() references, so only check that they resolve without cycles
+        resolvedTokens = resolveAliases(structuredClone(tokens), referenceTokens)
+      } else {
+        tokens = resolvedTokens = resolveAliases(tokens, referenceTokens)
+      }
+      // An alias that doesn't resolve may point into a file that failed to load
+      const defined = new Set([...tokens, ...referenceTokens].map((token) => token.path.join('.')))
+      const undefinedReference = index ? findUndefinedReference(resolvedTokens, defined) : null
+      if (undefinedReference !== null && skipped.length > 0) {
+        const reasons = skipped.map((entry) => `  ${entry.file}: ${entry.error.message.split('\n')[0]}`)
+        throw new Error(`Cannot resolve alias {${undefinedReference}}, token files that failed to load:\n${reasons.join('\n')}`)
+      }
+      // A file added to the token directories may define it later
+      if (undefinedReference !== null) {
+        for (const [file, stamp] of index.stamps) {
+          if (indexDirs.has(file)) stamps.set(file, stamp)
+        }
+      }
+    }
+
+    let warnings = ''
+    if (settings.strict) {
+      // Custom types with a transform are known, the transform decides what their values are
+      const customTypes = Object.keys(settings.outputOptions.transforms || {})
+      const diagnostics = validateTokens(resolvedTokens, { allowAliases: !settings.resolveAliases, customTypes })
+      const problems = diagnostics.map((d) => `${d.file || ownFiles[0]}: ${d.path.join('.')}: ${d.reason}`)
+      if (problems.length > 0 && settings.strict !== 'warn') {
+        throw new Error(`Invalid design tokens:\n${problems.map((problem) => `  ${problem}`).join('\n')}`)
+      }
+      // Invalid tokens are still emitted, so stylesheets using them keep compiling
+      warnings = problems.map((problem) => `@warn ${sassString(problem)};\n`).join('')
+      if (settings.mode !== 'css') {
+        const invalid = new Set(diagnostics.map((d) => d.path.join('.')))
+        tokens = tokens.map((token) => invalid.has(token.path.join('.')) ? quoteInvalidValue(token) : token)
+      }
+    }
+
+    return { contents: generateScss(tokens, settings.mode, settings.outputOptions) + warnings, stamps }
+  }
+
+  /**
+   * Merge the token sets of a theme in order, later sets overriding earlier ones
+   * @param {string} name
+   * @param {object} settings
+   * @returns {Generator<[string, string], { contents: string, stamps: Map<string, string | null> }, *>}
+   */
+  function * loadTheme(name, settings) {
+    const enabled = new Map()
+    const source = new Map()
+    const files = []
+    const stamps = new Map()
+    const { definitions, stamps: themeStamps } = yield * getThemes()
+    if (!definitions.has(name)) throw new Error(`Unknown theme "${name}"`)
+    for (const set of definitions.get(name)) {
+      const file = yield * findTokenFile(set.name)
+      if (!file) {
+        throw new Error(`Token set "${set.name}" of theme "${name}" not found`)
+      }
+      files.push(file)
+      const target = set.status === 'source' ? source : enabled
+      for (const token of yield * readTokenFile(file, parsers, stamps)) {
+        target.set(token.path.join('.'), { ...token, file })
+      }
+    }
+    for (const [file, stamp] of themeStamps) stamps.set(file, stamp)
+    return yield * compileTokens([...enabled.values()], [...source.values()], files, stamps, settings)
+  }
+
+  /**
+   * Emit the variables of a Figma collection in one mode. Variables of other
+   * collections are only used to resolve aliases, in their default modes.
+   * @param {string} collectionName
+   * @param {string} modeName
+   * @param {object} settings
+   * @returns {Generator<[string, string], { contents: string, stamps: Map<string, string | null> }, *>}
+   */
+  function * loadFigma(collectionName, modeName, settings) {
+    const found = yield * findFigmaCollection(collectionName)
+    if (!found) throw new Error(`Figma collection "${collectionName}" not found`)
+    const { file, data, stamp } = found
+    const own = []
+    const reference = []
+    for (const variable of figmaVariables(data, { [collectionName]: modeName })) {
+      const target = variable.collection === collectionName ? own : reference
+      target.push({ ...variable.token, file })
+    }
+    return yield * compileTokens(own, reference, [file], new Map([[file, stamp]]), settings)
+  }
+
+  /**
+   * Resolve and merge the resolver inputs for the given modifier values
+   * @param {Object<string, string>} inputs - Modifier values
+   * @param {object} settings
+   * @returns {Generator<[string, string], { contents: string, stamps: Map<string, string | null> }, *>}
+   */
+  function * loadResolver(inputs, settings) {
+    const source = yield * getResolver()
+    const { tokens, files, stamps } = yield * readResolverSources(source.document, inputs, source.baseDir, parsers)
+    for (const [file, stamp] of source.stamps) stamps.set(file, stamp)
+    return yield * compileTokens(tokens, [], files, stamps, settings)
+  }
 
   return {
-    canonicalize(url) {
+    invalidate(filePath) {
+      const file = path.resolve(filePath)
+      generation++
+      for (const [key, entry] of cache) {
+        if (entry.stamps.has(file)) cache.delete(key)
+      }
+      if (tokenIndex && tokenIndex.stamps.has(file)) tokenIndex = null
+      if (figmaExports && figmaExports.stamps.has(file)) figmaExports = null
+      if (themes && themes.file === file) themes = null
+      if (resolver && resolver.file === file) resolver = null
+    },
+
+    clearCache() {
+      generation++
+      cache.clear()
+      tokenIndex = null
+      figmaExports = null
+      themes = null
+      resolver = null
+    },
+
+    /**
+     * List the files a loaded module was built from
+     * @param {URL} canonicalUrl
+     * @returns {string[]} Empty when the module isn't cached
+     */
+    dependencies(canonicalUrl) {
+      const cached = cache.get(canonicalUrl.toString().slice(TOKEN_SCHEME.length))
+      return cached ? [...cached.stamps.keys()].filter((file) => !indexDirs.has(file)) : []
+    },
+
+    /**
+     * List the token files of every token directory
+     * @returns {Generator<[string, string], Array<{ dir: string, file: string }>, *>}
+     */
+    * listTokenFiles() {
+      const files = []
+      for (const dir of resolvedPaths) {
+        for (const file of yield * findTokenFiles(dir, extensions)) files.push({ dir, file })
+      }
+      return files
+    },
+
+    /**
+     * Check whether a file is a token file in one of the token directories
+     * @param {string} filePath
+     * @returns {boolean}
+     */
+    isTokenFile(filePath) {
+      const file = path.resolve(filePath)
+      return extensions.includes(path.extname(file).toLowerCase()) &&
+        resolvedPaths.some((dir) => file.startsWith(dir + path.sep))
+    },
+
+    * canonicalize(url, baseDir) {
       let lookupName = url
 
       if (url.startsWith(TOKEN_SCHEME)) {
@@ -358,39 +3054,386 @@ export function sassTokenImporter(tokenPaths, options) {
         lookupName = rest
       }
 
-      for (const tokenDir of resolvedPaths) {
-        const jsonPath = path.join(tokenDir, `${lookupName}.json`)
-        if (fs.existsSync(jsonPath)) {
-          const absolute = path.resolve(jsonPath)
-          return new URL(`${TOKEN_SCHEME}${absolute}`)
+      const queryIndex = lookupName.indexOf('?')
+      const name = queryIndex === -1 ? lookupName : lookupName.slice(0, queryIndex)
+      const { overrides, params } = parseImportQuery(queryIndex === -1 ? '' : lookupName.slice(queryIndex + 1))
+
+      if (name === RESOLVER_NAME) {
+        const resolverSource = yield * getResolver()
+        if (resolverSource) {
+          const inputs = normalizeResolverInputs(resolverSource.document, params)
+          return new URL(`${TOKEN_SCHEME}${RESOLVER_NAME}${formatImportQuery({ ...inputs, ...overrides })}`)
         }
       }
 
-      return null
+      let target = null
+      if (name.startsWith(THEME_PREFIX)) {
+        const themeName = decodeURIComponent(name.slice(THEME_PREFIX.length))
+        if ((yield * getThemes()).definitions.has(themeName)) {
+          target = `${THEME_PREFIX}${encodeURIComponent(themeName)}`
+        }
+      }
+      if (name.startsWith(FIGMA_PREFIX)) {
+        // figma/<collection>[/<mode>], either may be percent-encoded
+        const [collectionName, ...mode] = name.slice(FIGMA_PREFIX.length).split('/').map(decodeURIComponent)
+        const found = yield * findFigmaCollection(collectionName)
+        if (found) {
+          const modeName = mode.length > 0 ? mode.join('/') : found.collection.defaultMode
+          if (!found.collection.modes.includes(modeName)) {
+            throw new Error(`Unknown mode "${modeName}" of Figma collection "${collectionName}", expected one of: ${found.collection.modes.join(', ')}`)
+          }
+          target = `${FIGMA_PREFIX}${encodeURIComponent(collectionName)}/${encodeURIComponent(modeName)}`
+        }
+      }
+      // Lookups relative to the importing stylesheet win over the token directories
+      if (!target && baseDir) target = yield * findTokenFile(name, [baseDir])
+      if (!target) target = yield * findTokenFile(name)
+      if (!target) return null
+
+      const unknown = Object.keys(params)
+      if (unknown.length > 0) {
+        throw new Error(`Unknown parameter "${unknown[0]}" in token import "${url}", expected one of: ${IMPORT_OPTIONS.join(', ')}`)
+      }
+
+      return new URL(`${TOKEN_SCHEME}${target}${formatImportQuery(overrides)}`)
+    },
+
+    * load(canonicalUrl) {
+      const cacheKey = canonicalUrl.toString().slice(TOKEN_SCHEME.length)
+
+      const cached = cache.get(cacheKey)
+      if (cached && (yield * isFresh(cached.stamps))) {
+        return cached.result
+      }
+      const started = generation
+
+      const queryIndex = cacheKey.indexOf('?')
+      const target = queryIndex === -1 ? cacheKey : cacheKey.slice(0, queryIndex)
+      const { overrides, params } = parseImportQuery(queryIndex === -1 ? '' : cacheKey.slice(queryIndex + 1))
+      const settings = getSettings(overrides)
+
+      let compiled
+      if (target === RESOLVER_NAME) {
+        compiled = yield * loadResolver(params, settings)
+      } else if (target.startsWith(THEME_PREFIX)) {
+        compiled = yield * loadTheme(decodeURIComponent(target.slice(THEME_PREFIX.length)), settings)
+      } else if (target.startsWith(FIGMA_PREFIX)) {
+        const [collectionName, modeName] = target.slice(FIGMA_PREFIX.length).split('/').map(decodeURIComponent)
+        compiled = yield * loadFigma(collectionName, modeName, settings)
+      } else {
+        const stamps = new Map()
+        compiled = yield * compileTokens(yield * readTokenFile(target, parsers, stamps), [], [target], stamps, settings)
+      }
+
+      const result = { contents: compiled.contents, syntax: 'scss' }
+      if (started === generation) cache.set(cacheKey, { result, stamps: compiled.stamps })
+      return result
+    }
+  }
+}
+
+/**
+ * Create a Dart Sass Importer for JSON design tokens
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * Module URLs accept a query string overriding `output`, `prefix`, `separator`, `include`, `exclude`,
+ * `colorFormat`, `colorFallback`, `selector`, `accessor`, `mixins`, `default`, `strict` and `resolveAliases` per import, e.g. `token:colors?output=map&prefix=c`.
+ * @param {{ output?: 'variables' | 'map' | 'css', resolveAliases?: boolean, strict?: boolean | 'error' | 'warn', accessor?: boolean, mixins?: boolean, files?: string[], selector?: string, prefix?: string, separator?: string, name?: function(object): string, include?: string | string[], exclude?: string | string[], transforms?: Object<string, string | function(*, object): *>, remBase?: number, precision?: number, colorFormat?: 'hex' | 'rgb' | 'hsl' | 'oklch' | 'preserve', colorFallback?: boolean, default?: boolean, themes?: Object<string, string[] | object>, resolver?: string | object, parsers?: Object<string, function(string, string): object>, extensions?: string[] }} [options]
+ * @returns {import('sass').Importer<'sync'> & { invalidate(filePath: string): void, clearCache(): void }}
+ */
+export function sassTokenImporter(tokenPaths, options) {
+  const importer = createTokenImporter(tokenPaths, options)
+
+  return {
+    /**
+     * Drop cached output built from a file, including modules that alias into it.
+     * Changes are also detected from file modification times, this forces a rebuild
+     * when those are unreliable.
+     * @param {string} filePath
+     */
+    invalidate: importer.invalidate,
+
+    /**
+     * Drop all cached output, token indexes and manifests
+     */
+    clearCache: importer.clearCache,
+
+    canonicalize(url) {
+      return runSync(importer.canonicalize(url))
+    },
+
+    load(canonicalUrl) {
+      return runSync(importer.load(canonicalUrl))
+    }
+  }
+}
+
+/**
+ * Create an asynchronous Dart Sass Importer for JSON design tokens, reading files with `fs.promises`.
+ * Takes the same arguments as `sassTokenImporter`. Concurrent loads of the same module share one build,
+ * and concurrent reads of the same file share one read.
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {import('sass').Importer<'async'> & { invalidate(filePath: string): void, clearCache(): void }}
+ */
+export function sassTokenImporterAsync(tokenPaths, options) {
+  return createAsyncImporter(createTokenImporter(tokenPaths, options))
+}
+
+/**
+ * Wrap the shared importer operations in an asynchronous Dart Sass Importer
+ * @param {ReturnType<typeof createTokenImporter>} importer
+ * @param {function(string[], URL): void} [onLoad] - Called with the files every loaded module was built from, and its URL
+ * @returns {import('sass').Importer<'async'> & { invalidate(filePath: string): void, clearCache(): void }}
+ */
+function createAsyncImporter(importer, onLoad) {
+  const pending = new Map()
+  const reads = new Map()
+  const operations = {
+    ...ASYNC_FS,
+    // Modules loaded concurrently from the same file, e.g. with different queries, or building
+    // the token index side by side share one read. Reads are only shared for the same stamp, so
+    // one that started before a save isn't reused after it.
+    readFile(filePath, stamp) {
+      if (stamp === undefined) return ASYNC_FS.readFile(filePath)
+      const key = `${stamp}:${filePath}`
+      if (!reads.has(key)) {
+        reads.set(key, ASYNC_FS.readFile(filePath).finally(() => reads.delete(key)))
+      }
+      return reads.get(key)
+    }
+  }
+
+  return {
+    invalidate: importer.invalidate,
+    clearCache: importer.clearCache,
+
+    canonicalize(url) {
+      return runAsync(importer.canonicalize(url), operations)
     },
 
     load(canonicalUrl) {
-      const filePath = canonicalUrl.toString().slice(TOKEN_SCHEME.length)
+      const key = canonicalUrl.toString()
+      if (!pending.has(key)) {
+        pending.set(key, runAsync(importer.load(canonicalUrl), operations).finally(() => pending.delete(key)))
+      }
+      if (!onLoad) return pending.get(key)
+      return pending.get(key).then((result) => {
+        onLoad(importer.dependencies(canonicalUrl), canonicalUrl)
+        return result
+      })
+    }
+  }
+}
+
+/**
+ * Create an importer for the legacy `render()` / `renderSync()` API and `sass-loader` configs
+ * that only accept `function (url, prev, done)`. Takes the same arguments as `sassTokenImporter`
+ * and shares its pipeline. Only `token:` URLs are handled, and they are resolved from the directory
+ * of `prev` first.
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {import('sass').LegacySyncImporter & { invalidate(filePath: string): void, clearCache(): void }}
+ */
+export function sassTokenLegacyImporter(tokenPaths, options) {
+  const importer = createTokenImporter(tokenPaths, options)
+
+  /**
+   * @param {string} url - The URL as written in the `@use` or `@import` rule
+   * @param {string} prev - Path of the importing stylesheet, or `stdin`
+   * @returns {{ contents: string } | Error | null} `null` passes the URL on to the next importer
+   */
+  function legacyImporter(url, prev) {
+    // Sass passes every import to legacy importers, including plain stylesheets
+    if (!url.startsWith(TOKEN_SCHEME)) return null
+    try {
+      const baseDir = prev && path.isAbsolute(prev) ? path.dirname(prev) : null
+      const canonicalUrl = runSync(importer.canonicalize(url, baseDir))
+      if (!canonicalUrl) return null
+      return { contents: runSync(importer.load(canonicalUrl)).contents }
+    } catch (error) {
+      return error
+    }
+  }
+
+  legacyImporter.invalidate = importer.invalidate
+  legacyImporter.clearCache = importer.clearCache
+  return legacyImporter
+}
+
+/**
+ * Generate a static `.scss` partial for every token file, for consumers that can't use a custom importer.
+ * `semantic/colors.json` becomes `semantic/_colors.scss`. When several token directories contain
+ * the same name, the partial is built from the first, like `@use "token:…"` would resolve it.
+ * Token files of one directory that only differ by extension, e.g. `colors.json` and `colors.yaml`, throw.
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {Array<{ file: string, source: string, contents: string }>} Partials sorted by `file`, relative to the output directory
+ */
+export function buildTokenPartials(tokenPaths, options) {
+  const importer = createTokenImporter(tokenPaths, options)
+  const partials = new Map()
+  for (const { dir, file } of runSync(importer.listTokenFiles())) {
+    const source = path.relative(dir, file)
+    const name = source.slice(0, -path.extname(source).length)
+    const partial = path.join(path.dirname(name), `_${path.basename(name)}.scss`)
+    if (partials.has(partial)) {
+      const existing = partials.get(partial).source
+      // Same name in a later directory, resolved from the first like the importer does
+      if (!existing.startsWith(dir + path.sep)) continue
+      throw new Error(`Token files ${path.relative(dir, existing)} and ${source} in ${dir} both generate ${partial}`)
+    }
+    const { contents } = runSync(importer.load(new URL(`${TOKEN_SCHEME}${file}`)))
+    const header = `// Generated by sass-token-importer from ${source.split(path.sep).join('/')}, do not edit.\n`
+    partials.set(partial, { file: partial, source: file, contents: header + contents })
+  }
+  return [...partials.values()].sort((a, b) => a.file.localeCompare(b.file))
+}
+
+/**
+ * Create a Vite plugin registering an asynchronous token importer for `.scss` and `.sass` stylesheets.
+ * The token files a stylesheet loaded become its watched dependencies, so editing one triggers CSS HMR.
+ * Needs Vite's `modern` or `modern-compiler` Sass API, the default since Vite 6.
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {{ name: string, config: function(): object, configureServer: function(object): void, transform: function(string, string): null, buildEnd: function(): void, watchChange: function(string, { event: string }): void, invalidate(filePath: string): void, clearCache(): void }}
+ */
+export function sassTokenVitePlugin(tokenPaths, options) {
+  const importer = createTokenImporter(tokenPaths, options)
+  const dirs = (Array.isArray(tokenPaths) ? tokenPaths : [tokenPaths]).map((p) => path.resolve(p))
+  // Files of the loaded modules, kept when a module is invalidated so its dependents can still be found
+  const moduleFiles = new Map()
+  const asyncImporter = createAsyncImporter(importer, (files, canonicalUrl) => {
+    // Empty when the cache was cleared during the load
+    if (files.length > 0) moduleFiles.set(canonicalUrl.toString(), files)
+  })
+  // Vite doesn't report which importer URLs a stylesheet loaded, so the canonical URLs are recorded
+  // per file containing the `@use`, which is either the stylesheet or one of its partials
+  const imports = new Map()
+  const stylesheets = new Set()
+  let server = null
+
+  // Sass only passes the containing file for URLs of a non-canonical scheme, so `token:` URLs
+  // are canonicalized to `token-file:` ones for Sass and back for the importer
+  const sassImporter = {
+    nonCanonicalScheme: TOKEN_SCHEME.slice(0, -1),
+    async canonicalize(url, context) {
+      const canonicalUrl = await asyncImporter.canonicalize(url)
+      if (!canonicalUrl) return null
+      const containingUrl = context && context.containingUrl
+      if (containingUrl && containingUrl.protocol === 'file:') {
+        const file = fileURLToPath(containingUrl)
+        if (!imports.has(file)) imports.set(file, new Set())
+        imports.get(file).add(canonicalUrl.toString())
+      }
+      return new URL(VITE_CANONICAL_SCHEME + canonicalUrl.toString().slice(TOKEN_SCHEME.length))
+    },
+    load(canonicalUrl) {
+      return asyncImporter.load(new URL(TOKEN_SCHEME + canonicalUrl.toString().slice(VITE_CANONICAL_SCHEME.length)))
+    }
+  }
+
+  /**
+   * List the token files the modules used by one file were built from
+   * @param {string} file - Stylesheet or partial
+   * @returns {Set<string>}
+   */
+  function loadedFiles(file) {
+    const files = new Set()
+    for (const canonicalUrl of imports.get(file) || []) {
+      for (const dependency of moduleFiles.get(canonicalUrl) || []) files.add(dependency)
+    }
+    return files
+  }
+
+  /**
+   * Reload the modules of stylesheets and partials, Vite propagates partials to their importers
+   * @param {Iterable<string>} files
+   */
+  function reload(files) {
+    if (!server) return
+    const modules = new Set()
+    for (const file of files) {
+      for (const module of server.moduleGraph.getModulesByFile(file) || []) modules.add(module)
+    }
+    for (const module of modules) server.reloadModule(module)
+  }
+
+  return {
+    name: 'sass-token-importer',
+    invalidate: importer.invalidate,
+    clearCache: importer.clearCache,
 
-      if (cache.has(filePath)) {
-        return cache.get(filePath)
+    config() {
+      return {
+        css: {
+          preprocessorOptions: {
+            scss: { importers: [sassImporter] },
+            sass: { importers: [sassImporter] }
+          }
+        }
       }
+    },
+
+    configureServer(devServer) {
+      server = devServer
+      // Token files only used by partials aren't in the module graph, and Vite only watches its root
+      devServer.watcher.add(dirs)
+    },
 
-      const json = fs.readFileSync(filePath, 'utf-8')
-      const data = JSON.parse(json)
+    transform(code, id) {
+      if (!SASS_MODULE_PATTERN.test(id)) return null
+      const file = path.resolve(id.replace(/\?.*$/, ''))
+      stylesheets.add(file)
+      for (const dependency of loadedFiles(file)) this.addWatchFile(dependency)
+      return null
+    },
 
-      const format = detectFormat(data)
-      let tokens = extractTokens(data, format)
+    buildEnd() {
+      // Vite doesn't tell which stylesheets include a partial. The dev server reloads them through
+      // the partial, a build in watch mode rebuilds as a whole, so any module can watch its token files.
+      for (const file of imports.keys()) {
+        if (stylesheets.has(file)) continue
+        for (const dependency of loadedFiles(file)) this.addWatchFile(dependency)
+      }
+    },
 
-      if (shouldResolveAliases) {
-        tokens = resolveAliases(tokens)
+    watchChange(id, change) {
+      const file = path.resolve(id)
+      const dependents = [...imports.keys()].filter((containing) => loadedFiles(containing).has(file))
+      if (change.event === 'update') {
+        if (dependents.length === 0) return
+        importer.invalidate(file)
+        // Stylesheets watch their token files themselves, partials don't
+        reload(dependents.filter((containing) => !stylesheets.has(containing)))
+        return
       }
+      if (!importer.isTokenFile(file) && dependents.length === 0) return
+      // Adding or removing a token file can change how every module resolves
+      importer.clearCache()
+      reload(imports.keys())
+    }
+  }
+}
 
-      const contents = generateScss(tokens, mode)
+/**
+ * Create `sass-loader` options registering an asynchronous token importer for the modern Sass API.
+ * Every stylesheet declares the token files it loaded as webpack dependencies, and the token
+ * directories as context dependencies, so watch mode rebuilds it and CSS HMR picks up the change.
+ * @param {string | string[]} tokenPaths - Directory or directories containing token JSON files
+ * @param {object} [options] - See `sassTokenImporter`
+ * @returns {{ sassOptions: function(object): { importers: import('sass').Importer<'async'>[] } }}
+ */
+export function sassTokenLoaderOptions(tokenPaths, options) {
+  const importer = createTokenImporter(tokenPaths, options)
+  const dirs = (Array.isArray(tokenPaths) ? tokenPaths : [tokenPaths]).map((p) => path.resolve(p))
 
-      const result = { contents, syntax: 'scss' }
-      cache.set(filePath, result)
-      return result
+  return {
+    sassOptions(loaderContext) {
+      const sassImporter = createAsyncImporter(importer, (files) => {
+        for (const dir of dirs) loaderContext.addContextDependency(dir)
+        for (const file of files) loaderContext.addDependency(file)
+      })
+      return { importers: [sassImporter] }
     }
   }
 }